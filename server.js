@@ -1,11 +1,20 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { MongoClient, ObjectId } = require('mongodb');
+const { MongoClient, ObjectId, GridFSBucket } = require('mongodb');
 const multer = require('multer');
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const sanitizeHtml = require('sanitize-html');
+const sharp = require('sharp');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = path.join(__dirname, 'data');
 
 // MongoDB connection - Use Railway's environment variable
 const MONGODB_URI = process.env.MONGO_URL || process.env.MONGODB_URI;
@@ -16,6 +25,39 @@ if (!MONGODB_URI) {
 
 let db;
 let dbClient;
+let imageBucket;
+
+// Admin sessions last 12 hours unless overridden
+const SESSION_TTL = parseInt(process.env.SESSION_TTL_MS) || 12 * 60 * 60 * 1000;
+
+// Roles in ascending order of privilege
+const ROLES = ['guest', 'reader', 'editor', 'admin'];
+
+// How long a rewarded-ad unlock keeps a chapter open
+const CHAPTER_UNLOCK_DURATION = parseInt(process.env.CHAPTER_UNLOCK_DURATION_MS) || 10 * 60 * 1000;
+
+// Signs unlock intents; without a configured secret intents do not survive a restart
+const UNLOCK_INTENT_SECRET = process.env.UNLOCK_INTENT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.UNLOCK_INTENT_SECRET) {
+    console.warn('⚠️  UNLOCK_INTENT_SECRET is not set; using a random secret for this process');
+}
+
+// Development stand-in for the ad network (never enable in production)
+const AD_NETWORK_STUB = process.env.AD_NETWORK_STUB === 'true';
+
+// Background jobs are stored in MongoDB so any instance can run them, including after a restart
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+
+// Deleted titles, chapters and users stay in the trash this long before they are purged
+const TRASH_RETENTION = parseInt(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000;
+const NOT_TRASHED = { deleted_at: { $exists: false } };
+
+// Built-in library shelves every user has
+const LIBRARY_SHELVES = [
+    { id: 'read-later', name: 'Read Later' },
+    { id: 'favourites', name: 'Favourites' }
+];
 
 // Initialize MongoDB connection
 async function connectToDatabase() {
@@ -25,6 +67,7 @@ async function connectToDatabase() {
         await client.connect();
         dbClient = client;
         db = client.db();
+        imageBucket = new GridFSBucket(db, { bucketName: 'uploads' });
         console.log('✅ Connected to MongoDB');
         
         // Initialize collections if they don't exist
@@ -42,13 +85,78 @@ async function initializeCollections() {
         // Users collection
         await db.collection('users').createIndex({ id: 1 }, { unique: true });
         
+        // Older databases have a sparse email_1 index; the partial one replacing it has the same name
+        const userIndexes = await db.collection('users').indexes().catch(error => {
+            if (error.code === 26) {
+                return []; // no users collection yet
+            }
+            throw error;
+        });
+        if (userIndexes.some(index => index.name === 'email_1' && index.sparse)) {
+            await db.collection('users').dropIndex('email_1');
+        }
+        await db.collection('users').createIndex(
+            { email: 1 },
+            { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+        );
+        
+        // Sessions collection with TTL index (auto-expire at expiresAt)
+        await db.collection('sessions').createIndex({ tokenHash: 1 }, { unique: true });
+        await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        
         // Content collection
         await db.collection('content').createIndex({ id: 1 }, { unique: true });
+        await db.collection('content').createIndex(
+            { slug: 1 },
+            { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+        );
+        await db.collection('content').createIndex({ previousSlugs: 1 });
         await db.collection('content').createIndex({ type: 1 });
         await db.collection('content').createIndex({ title: 'text', description: 'text' });
         
         // Chapters collection
         await db.collection('chapters').createIndex({ contentId: 1, chapterId: 1 }, { unique: true });
+        await db.collection('chapters').createIndex({ contentId: 1, sortKey: 1 });
+        await db.collection('chapters').createIndex({ status: 1, publishAt: 1 });
+        
+        // Trash listing and purge
+        for (const collection of TRASH_COLLECTIONS) {
+            await db.collection(collection).createIndex({ deleted_at: 1 }, { sparse: true });
+        }
+        
+        // Revisions of title metadata (chapterId null) and of chapters, numbered per document
+        await db.collection('revisions').createIndex(
+            { entity: 1, contentId: 1, chapterId: 1, revision: -1 },
+            { unique: true }
+        );
+        
+        // One rating per user and title, one like per user and chapter
+        await db.collection('ratings').createIndex({ contentId: 1, userId: 1 }, { unique: true });
+        await db.collection('ratings').createIndex({ userId: 1 });
+        await db.collection('chapter_likes').createIndex({ contentId: 1, chapterId: 1, userId: 1 }, { unique: true });
+        await db.collection('chapter_likes').createIndex({ userId: 1 });
+        
+        // Chapter comments and their reports
+        await db.collection('comments').createIndex({ id: 1 }, { unique: true });
+        await db.collection('comments').createIndex({ contentId: 1, chapterId: 1, parentId: 1, created_at: -1 });
+        await db.collection('comments').createIndex({ rootId: 1, created_at: 1 });
+        await db.collection('comments').createIndex({ userId: 1 });
+        await db.collection('comments').createIndex({ openReports: -1, last_reported_at: -1 });
+        await db.collection('comment_reports').createIndex({ commentId: 1, userId: 1 }, { unique: true });
+        await db.collection('comment_reports').createIndex({ userId: 1 });
+        await db.collection('comment_reports').createIndex({ contentId: 1, chapterId: 1 });
+        
+        // Reader analytics events (ids make ingestion idempotent) and computed snapshots like trending
+        await db.collection('events').createIndex({ eventId: 1 }, { unique: true });
+        await db.collection('events').createIndex({ occurredAt: 1 }, { expireAfterSeconds: Math.floor(EVENT_RETENTION / 1000) });
+        await db.collection('events').createIndex({ type: 1, occurredAt: 1 });
+        await db.collection('events').createIndex({ contentId: 1, type: 1, occurredAt: 1 });
+        await db.collection('analytics_snapshots').createIndex({ id: 1 }, { unique: true });
+        
+        // Audit log of staff changes
+        await db.collection('audit_log').createIndex({ created_at: -1 });
+        await db.collection('audit_log').createIndex({ 'actor.id': 1, created_at: -1 });
+        await db.collection('audit_log').createIndex({ 'target.type': 1, 'target.id': 1, created_at: -1 });
         
         // Ads config collection
         await db.collection('ads_config').createIndex({ id: 1 }, { unique: true });
@@ -56,21 +164,408 @@ async function initializeCollections() {
         // Chapter locks collection with TTL index (auto-expire after 10 minutes)
         await db.collection('chapter_locks').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
         
-        // Uploads collection for storing images
-        await db.collection('uploads').createIndex({ contentType: 1 });
+        // Rewarded-ad unlock intents and verified ad transactions (kept a while for status polling and replay checks)
+        await db.collection('unlock_intents').createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+        await db.collection('ad_transactions').createIndex({ transactionId: 1 }, { unique: true });
+        await db.collection('ad_transactions').createIndex({ receivedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+        
+        // Scheduled jobs; at most one active job per key, finished jobs are purged after a while
+        await db.collection('jobs').createIndex(
+            { key: 1 },
+            { unique: true, partialFilterExpression: { active: true } }
+        );
+        await db.collection('jobs').createIndex({ active: 1, runAt: 1 });
+        await db.collection('jobs').createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+        
+        // Images live in the `uploads` GridFS bucket (uploads.files / uploads.chunks)
+        await db.collection('uploads.files').createIndex({ 'metadata.contentType': 1 });
+        await db.collection('uploads.files').createIndex({ 'metadata.sha256': 1 });
+        await db.collection('uploads.files').createIndex({ 'metadata.variantOf': 1 });
+        
+        // Reading progress collection (one document per user and title)
+        await db.collection('reading_progress').createIndex({ userId: 1, contentId: 1 }, { unique: true });
+        await db.collection('reading_progress').createIndex({ userId: 1, updated_at: -1 });
+        
+        // Library collection (one document per user shelf, items kept in display order)
+        await db.collection('library').createIndex({ userId: 1, shelfId: 1 }, { unique: true });
         
         console.log('✅ Collections initialized');
+        
+        await ensureAdminUser();
+        await backfillSlugs();
+        await backfillChapterOrder();
+        await migrateInlineUploads();
     } catch (error) {
         console.error('❌ Error initializing collections:', error);
     }
 }
 
+// Create the first admin account from ADMIN_EMAIL/ADMIN_PASSWORD if none exists
+async function ensureAdminUser() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+        return;
+    }
+    
+    const existingAdmin = await db.collection('users').findOne({ role: 'admin' });
+    if (existingAdmin) {
+        return;
+    }
+    
+    await db.collection('users').insertOne({
+        id: 'user_' + crypto.randomUUID(),
+        name: 'Admin',
+        email: email.toLowerCase(),
+        password: await bcrypt.hash(password, 10),
+        role: 'admin',
+        created_at: new Date().toISOString(),
+        last_login: null
+    });
+    console.log(`✅ Created admin account ${email}`);
+}
+
 // Middleware
+
+// Behind a proxy set TRUST_PROXY (hop count or addresses) so req.ip, as audited, is the client's
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Authentication helpers
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(user) {
+    const { _id, password, guestTokenHash, ...rest } = user;
+    return rest;
+}
+
+// Start a new session for a user and return its bearer token
+async function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL);
+    
+    await db.collection('sessions').insertOne({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: new Date(),
+        expiresAt: expiresAt
+    });
+    
+    await db.collection('users').updateOne(
+        { id: user.id },
+        { $set: { last_login: new Date().toISOString() } }
+    );
+    
+    return { token, expiresAt: expiresAt.toISOString() };
+}
+
+// Attach req.user when a valid session token is sent as "Authorization: Bearer <token>"
+async function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    
+    if (!token || !db) {
+        return next();
+    }
+    
+    try {
+        const session = await db.collection('sessions').findOne({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: new Date() }
+        });
+        
+        if (session) {
+            const user = await db.collection('users').findOne({ id: session.userId, ...NOT_TRASHED });
+            if (user) {
+                req.user = user;
+                req.sessionTokenHash = session.tokenHash;
+            }
+        }
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+// Require a logged-in user whose role is at least minRole
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        
+        if (ROLES.indexOf(req.user.role) < ROLES.indexOf(minRole)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        
+        // Staff changes go to the audit log
+        if (ROLES.indexOf(minRole) >= ROLES.indexOf('editor') && !['GET', 'HEAD'].includes(req.method)) {
+            req.auditable = true;
+        }
+        
+        next();
+    };
+}
+
+// Progress and library routes name their reader in the URL. A guest id is enough on its own, but once the
+// id belongs to an account (or was merged into one) only that account's session may use it.
+async function requireOwnReader(req, res, next) {
+    if (!db || (req.user && req.user.id === req.params.userId)) {
+        return next();
+    }
+    
+    try {
+        const owner = await db.collection('users').findOne({ id: req.params.userId }, { projection: { type: 1 } });
+        if (owner && owner.type !== 'guest') {
+            return req.user
+                ? res.status(403).json({ error: 'Insufficient permissions' })
+                : res.status(401).json({ error: 'Authentication required' });
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking reader:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+app.use(authenticate);
+
+// Audit log
+//
+// Every non-GET request to an editor or admin route is recorded once its response is sent: who made it,
+// which route, the target, a field-level before/after of what changed, the response status and the IP.
+// Routes describe their target and change with auditChange(); the rest are recorded with their params.
+
+const AUDIT_HIDDEN_FIELDS = ['_id', 'password', 'guestTokenHash', 'updated_at'];
+const AUDIT_VALUE_LIMIT = 1000;
+
+function auditChange(req, target, before = null, after = null) {
+    req.audit = { target, before, after };
+}
+
+// Targets are { type, id } with string ids; chapters are "<contentId>/<chapterId>"
+function auditTarget(type, ...ids) {
+    return { type, id: ids.length ? ids.join('/') : null };
+}
+
+// Long values (page lists, chapter text) are summarised rather than copied into the log
+function auditValue(value) {
+    if (value === undefined) {
+        return null;
+    }
+    const json = JSON.stringify(value);
+    return json && json.length > AUDIT_VALUE_LIMIT ? { truncated: true, length: json.length } : value;
+}
+
+function auditDiff(before, after) {
+    if (!before && !after) {
+        return null;
+    }
+    
+    const previous = before || {};
+    const next = after || {};
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter(field => !AUDIT_HIDDEN_FIELDS.includes(field));
+    
+    const diff = {};
+    changedFields(fields, previous, next).forEach(field => {
+        diff[field] = { before: auditValue(previous[field]), after: auditValue(next[field]) };
+    });
+    return diff;
+}
+
+async function recordAudit(req, res) {
+    const audit = req.audit || {};
+    const pathname = req.originalUrl.split('?')[0];
+    // Routes registered for several paths (the revision routes) are logged by their actual path
+    const route = req.route && typeof req.route.path === 'string' ? req.route.path : pathname;
+    
+    await db.collection('audit_log').insertOne({
+        actor: { id: req.user.id, email: req.user.email, role: req.user.role },
+        method: req.method,
+        route,
+        path: pathname,
+        params: { ...req.params },
+        target: audit.target || null,
+        changes: auditDiff(audit.before, audit.after),
+        status: res.statusCode,
+        aborted: !res.writableFinished,
+        ip: req.ip,
+        created_at: new Date().toISOString()
+    });
+}
+
+// 'close' also covers clients that disconnect before the response is sent; whichever fires first writes the entry
+app.use((req, res, next) => {
+    let recorded = false;
+    const record = () => {
+        if (recorded || !req.auditable || !db) {
+            return;
+        }
+        recorded = true;
+        recordAudit(req, res).catch(error => console.error('Error writing audit log:', error));
+    };
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+});
+
+// Filters shared by the audit list and its CSV export
+function buildAuditFilter(rawQuery) {
+    // Repeated or bracketed params arrive as arrays and objects; only plain strings may reach the query
+    const query = {};
+    Object.keys(rawQuery).forEach(param => {
+        query[param] = String(rawQuery[param]);
+    });
+    const filter = {};
+    
+    if (query.actor) {
+        filter.$or = [{ 'actor.id': query.actor }, { 'actor.email': query.actor.toLowerCase() }];
+    }
+    if (query.method) {
+        filter.method = query.method.toUpperCase();
+    }
+    if (query.route) {
+        filter.route = query.route;
+    }
+    if (query.targetType) {
+        filter['target.type'] = query.targetType;
+    }
+    if (query.targetId) {
+        filter['target.id'] = query.targetId;
+    }
+    if (query.outcome) {
+        if (!['success', 'failure'].includes(query.outcome)) {
+            return { error: 'outcome must be success or failure' };
+        }
+        filter.status = query.outcome === 'success' ? { $lt: 400 } : { $gte: 400 };
+    }
+    
+    // from/to take any date Date() understands; created_at is an ISO string so they compare as text
+    const range = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        if (query[param]) {
+            const date = new Date(query[param]);
+            if (isNaN(date.getTime())) {
+                return { error: `${param} must be a valid date` };
+            }
+            range[operator] = date.toISOString();
+        }
+    }
+    if (Object.keys(range).length) {
+        filter.created_at = range;
+    }
+    
+    return { filter };
+}
+
+const AUDIT_SORT = { created_at: -1, _id: -1 };
+
+// List audit entries, newest first
+app.get('/api/admin/audit', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { filter, error } = buildAuditFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const total = await db.collection('audit_log').countDocuments(filter);
+        const totalPages = Math.ceil(total / limit);
+        const items = await db.collection('audit_log')
+            .find(filter)
+            .sort(AUDIT_SORT)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+        
+        res.json({
+            items: items.map(({ _id, ...entry }) => ({ id: _id.toString(), ...entry })),
+            total,
+            page,
+            limit,
+            totalPages,
+            next: page < totalPages ? pageLink(req, { page: page + 1 }) : null,
+            prev: page > 1 ? pageLink(req, { page: page - 1 }) : null
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+const AUDIT_CSV_COLUMNS = [
+    ['created_at', entry => entry.created_at],
+    ['actor_id', entry => entry.actor.id],
+    ['actor_email', entry => entry.actor.email],
+    ['actor_role', entry => entry.actor.role],
+    ['method', entry => entry.method],
+    ['route', entry => entry.route],
+    ['path', entry => entry.path],
+    ['target_type', entry => entry.target && entry.target.type],
+    ['target_id', entry => entry.target && entry.target.id],
+    ['status', entry => entry.status],
+    ['ip', entry => entry.ip],
+    ['changes', entry => entry.changes && JSON.stringify(entry.changes)]
+];
+
+// Quote cells that need it; a leading =, +, - or @ would make spreadsheets run the cell as a formula
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export the (filtered) audit log as CSV
+app.get('/api/admin/audit/export', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { filter, error } = buildAuditFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        res.write(AUDIT_CSV_COLUMNS.map(([name]) => name).join(',') + '\r\n');
+        for await (const entry of db.collection('audit_log').find(filter).sort(AUDIT_SORT)) {
+            res.write(AUDIT_CSV_COLUMNS.map(([, value]) => csvCell(value(entry))).join(',') + '\r\n');
+        }
+        res.end();
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: 'Failed to export audit log' });
+    }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     const status = db ? 'healthy' : 'unhealthy';
@@ -90,20 +585,249 @@ const upload = multer({
     }
 });
 
-// Serve uploaded images from MongoDB
+// Chapter archives (CBZ/ZIP/EPUB) hold every page of one or more chapters
+const archiveUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 200 * 1024 * 1024 // 200MB limit
+    }
+});
+
+// Archives are unpacked in memory, so cap what they may expand to (a small zip can declare gigabytes)
+const MAX_ARCHIVE_UNCOMPRESSED = parseInt(process.env.MAX_ARCHIVE_UNCOMPRESSED) || 1024 * 1024 * 1024;
+
+// Open an uploaded archive, refusing it before anything is extracted if it would expand past the cap.
+// adm-zip never inflates an entry past its declared size, so the declared sizes are a safe total.
+function openArchive(buffer) {
+    const zip = new AdmZip(buffer);
+    const total = zip.getEntries().reduce((sum, entry) => sum + entry.header.size, 0);
+    if (total > MAX_ARCHIVE_UNCOMPRESSED) {
+        throw new Error(`Archive expands to more than ${Math.round(MAX_ARCHIVE_UNCOMPRESSED / (1024 * 1024))}MB`);
+    }
+    return zip;
+}
+
+const IMAGE_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif'
+};
+
+// Stream a buffer into the uploads bucket under the given id
+function writeUpload(id, filename, contentType, data, metadata = {}) {
+    return new Promise((resolve, reject) => {
+        const stream = imageBucket.openUploadStreamWithId(id, filename, {
+            metadata: {
+                ...metadata,
+                contentType,
+                sha256: crypto.createHash('sha256').update(data).digest('hex')
+            }
+        });
+        stream.once('finish', resolve);
+        stream.once('error', reject);
+        stream.end(data);
+    });
+}
+
+// Save a file to the uploads bucket and return its public URL; identical bytes reuse the stored copy
+async function storeUpload(filename, contentType, data) {
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const duplicate = await db.collection('uploads.files').findOne(
+        { 'metadata.sha256': sha256, 'metadata.variantOf': { $exists: false } },
+        { projection: { _id: 1 } }
+    );
+    
+    const imageId = duplicate ? duplicate._id : new ObjectId();
+    if (duplicate) {
+        // Restart the garbage-collection grace period for the reused copy
+        await db.collection('uploads.files').updateOne({ _id: imageId }, { $set: { 'metadata.storedAt': new Date() } });
+    } else {
+        await writeUpload(imageId, filename, contentType, data);
+    }
+    
+    return { imageId, url: `/api/image/${imageId}`, deduplicated: !!duplicate };
+}
+
+// Read a stored upload fully into memory (for packaging exports)
+async function readUpload(id) {
+    const file = await db.collection('uploads.files').findOne({ _id: id });
+    if (!file) {
+        return null;
+    }
+    
+    const chunks = [];
+    for await (const chunk of imageBucket.openDownloadStream(id)) {
+        chunks.push(chunk);
+    }
+    return { data: Buffer.concat(chunks), contentType: file.metadata && file.metadata.contentType };
+}
+
+// Move images stored inline in `uploads` documents into GridFS, keeping their ids (and URLs)
+async function migrateInlineUploads() {
+    let migrated = 0;
+    
+    for await (const upload of db.collection('uploads').find({ data: { $exists: true } })) {
+        const copied = await db.collection('uploads.files').findOne({ _id: upload._id }, { projection: { _id: 1 } });
+        if (!copied) {
+            // Drop chunks left behind by an interrupted run before writing again
+            await db.collection('uploads.chunks').deleteMany({ files_id: upload._id });
+            await writeUpload(upload._id, upload.filename, upload.contentType, Buffer.from(upload.data.buffer));
+            if (upload.uploadedAt) {
+                await db.collection('uploads.files').updateOne({ _id: upload._id }, { $set: { uploadDate: upload.uploadedAt } });
+            }
+        }
+        
+        await db.collection('uploads').deleteOne({ _id: upload._id });
+        migrated++;
+    }
+    
+    if (migrated > 0) {
+        console.log(`✅ Moved ${migrated} uploads to GridFS`);
+    }
+}
+
+// Resized/re-encoded copies of uploads, generated on first request and kept in the bucket
+const IMAGE_VARIANT_WIDTHS = {
+    thumb: 320,
+    reader: 1080
+};
+const SHARP_FORMATS = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+// ?format= wins; otherwise WebP is preferred over AVIF from the Accept header as it is far cheaper to encode
+function negotiateImageFormat(req, res) {
+    const requested = String(req.query.format || '').toLowerCase();
+    if (requested) {
+        return ['webp', 'avif'].includes(requested) ? requested : null;
+    }
+    
+    res.vary('Accept');
+    const accept = req.headers.accept || '';
+    if (accept.includes('image/webp')) {
+        return 'webp';
+    }
+    if (accept.includes('image/avif')) {
+        return 'avif';
+    }
+    return null;
+}
+
+// Return the uploads.files document to serve for a size/format, creating the variant if needed
+async function getImageVariant(file, size, format) {
+    const sourceFormat = SHARP_FORMATS[file.metadata && file.metadata.contentType];
+    const outputFormat = format || sourceFormat;
+    
+    // GIFs (animation) and unknown types are always served as uploaded
+    if (!sourceFormat || (!size && outputFormat === sourceFormat)) {
+        return file;
+    }
+    
+    const variant = `${size || 'full'}.${outputFormat}`;
+    const variantId = new ObjectId(crypto.createHash('sha256').update(`${file._id}:${variant}`).digest().subarray(0, 12));
+    const existing = await db.collection('uploads.files').findOne({ _id: variantId });
+    if (existing) {
+        return existing;
+    }
+    
+    try {
+        const { data } = await readUpload(file._id);
+        let pipeline = sharp(data).rotate();
+        if (size) {
+            pipeline = pipeline.resize({ width: IMAGE_VARIANT_WIDTHS[size], withoutEnlargement: true });
+        }
+        const output = await pipeline.toFormat(outputFormat).toBuffer();
+        
+        await writeUpload(variantId, `${path.parse(file.filename).name}-${variant}`, `image/${outputFormat}`, output, {
+            variantOf: file._id,
+            variant
+        });
+    } catch (error) {
+        // A concurrent request may have written the same variant first
+        if (error.code !== 11000) {
+            console.warn(`Could not create ${variant} variant of ${file._id}:`, error.message);
+            return file;
+        }
+    }
+    
+    return (await db.collection('uploads.files').findOne({ _id: variantId })) || file;
+}
+
+// Serve uploaded images from MongoDB (?size=thumb|reader, ?format=webp|avif|original)
 app.get('/api/image/:id', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const image = await db.collection('uploads').findOne({ _id: new ObjectId(req.params.id) });
-        if (!image) {
+        if (!ObjectId.isValid(req.params.id)) {
             return res.status(404).json({ error: 'Image not found' });
         }
-
-        res.set('Content-Type', image.contentType);
-        res.send(image.data.buffer);
+        
+        const { size } = req.query;
+        if (size && !Object.keys(IMAGE_VARIANT_WIDTHS).includes(size)) {
+            return res.status(400).json({ error: `size must be one of: ${Object.keys(IMAGE_VARIANT_WIDTHS).join(', ')}` });
+        }
+        
+        const original = await db.collection('uploads.files').findOne({ _id: new ObjectId(req.params.id) });
+        if (!original) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        
+        const file = await getImageVariant(original, size, negotiateImageFormat(req, res));
+        
+        // Uploads never change under the same id, so they can be cached indefinitely
+        const etag = `"${(file.metadata && file.metadata.sha256) || file._id}"`;
+        res.set({
+            'Content-Type': (file.metadata && file.metadata.contentType) || 'application/octet-stream',
+            'ETag': etag,
+            'Last-Modified': file.uploadDate.toUTCString(),
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'Accept-Ranges': 'bytes'
+        });
+        
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        
+        // Single byte ranges are honoured; multi-range requests get the whole file
+        let start = 0;
+        let end = file.length - 1;
+        const ifRange = req.headers['if-range'];
+        const ranges = req.headers.range && (!ifRange || ifRange === etag || ifRange === res.get('Last-Modified'))
+            ? req.range(file.length, { combine: true })
+            : null;
+        
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${file.length}`);
+            return res.status(416).end();
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${file.length}`);
+        }
+        
+        res.set('Content-Length', String(Math.max(end - start + 1, 0)));
+        if (req.method === 'HEAD' || file.length === 0) {
+            return res.end();
+        }
+        
+        imageBucket.openDownloadStream(file._id, { start, end: end + 1 })
+            .on('error', error => {
+                console.error('Error streaming image:', error);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Failed to serve image' });
+                } else {
+                    res.destroy(error);
+                }
+            })
+            .pipe(res);
     } catch (error) {
         console.error('Error serving image:', error);
         res.status(500).json({ error: 'Failed to serve image' });
@@ -111,7 +835,7 @@ app.get('/api/image/:id', async (req, res) => {
 });
 
 // Upload image to MongoDB
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+app.post('/api/upload', requireRole('editor'), upload.single('image'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
@@ -121,20 +845,15 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const uploadData = {
-            filename: req.file.originalname,
-            contentType: req.file.mimetype,
-            data: req.file.buffer,
-            size: req.file.size,
-            uploadedAt: new Date()
-        };
-
-        const result = await db.collection('uploads').insertOne(uploadData);
+        const { imageId, url, deduplicated } = await storeUpload(req.file.originalname, req.file.mimetype, req.file.buffer);
+        auditChange(req, auditTarget('upload', imageId), null, { url, deduplicated });
         
         res.json({ 
             success: true, 
-            imageId: result.insertedId,
-            url: `/api/image/${result.insertedId}`
+            imageId,
+            url,
+            deduplicated,
+            variants: Object.fromEntries(Object.keys(IMAGE_VARIANT_WIDTHS).map(size => [size, `${url}?size=${size}`]))
         });
     } catch (error) {
         console.error('Upload error:', error);
@@ -142,471 +861,5473 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
     }
 });
 
-// API Routes
-app.get('/api/data', async (req, res) => {
+// Upload garbage collection
+
+// Collections whose documents may point at /api/image/:id URLs (covers, pages, chapter HTML)
+// Revisions count too, so a rollback can bring back the pages and covers it refers to,
+// and so do trashed documents until they are purged
+const IMAGE_REFERENCE_COLLECTIONS = ['content', 'chapters', 'revisions'];
+const IMAGE_URL_PATTERN = /\/api\/image\/([a-f0-9]{24})/gi;
+
+// Fresh uploads are usually about to be attached to a title or chapter
+const UPLOAD_GC_GRACE = parseInt(process.env.UPLOAD_GC_GRACE_MS) || 24 * 60 * 60 * 1000;
+const UPLOAD_GC_INTERVAL = parseInt(process.env.UPLOAD_GC_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+// Map of upload id -> number of documents that reference it
+async function collectImageReferences() {
+    const references = new Map();
+    
+    for (const collection of IMAGE_REFERENCE_COLLECTIONS) {
+        for await (const doc of db.collection(collection).find({}, { projection: { _id: 0 } })) {
+            const ids = new Set([...JSON.stringify(doc).matchAll(IMAGE_URL_PATTERN)].map(match => match[1].toLowerCase()));
+            ids.forEach(id => references.set(id, (references.get(id) || 0) + 1));
+        }
+    }
+    
+    return references;
+}
+
+// Find uploads nothing references (variants follow their original) and delete them unless dryRun
+async function sweepOrphanUploads({ dryRun = true } = {}) {
+    const references = await collectImageReferences();
+    const cutoff = new Date(Date.now() - UPLOAD_GC_GRACE);
+    const report = { dryRun, scanned: 0, kept: 0, orphans: [], reclaimedBytes: 0 };
+    
+    const files = await db.collection('uploads.files')
+        .find({}, { projection: { filename: 1, length: 1, uploadDate: 1, metadata: 1 } })
+        .toArray();
+    const filesById = new Map(files.map(file => [String(file._id), file]));
+    
+    // Variants live and die with their original
+    const isOrphan = file => {
+        const variantOf = file.metadata && file.metadata.variantOf;
+        if (variantOf) {
+            const original = filesById.get(String(variantOf));
+            return !original || isOrphan(original);
+        }
+        const storedAt = (file.metadata && file.metadata.storedAt) || file.uploadDate;
+        return !references.has(String(file._id)) && storedAt <= cutoff;
+    };
+    
+    for (const file of files) {
+        report.scanned++;
+        if (!isOrphan(file)) {
+            report.kept++;
+            continue;
+        }
+        
+        const variantOf = file.metadata && file.metadata.variantOf;
+        report.orphans.push({
+            id: String(file._id),
+            filename: file.filename,
+            size: file.length,
+            uploadDate: file.uploadDate,
+            ...(variantOf && { variantOf: String(variantOf) })
+        });
+        report.reclaimedBytes += file.length;
+        
+        if (!dryRun) {
+            await imageBucket.delete(file._id);
+        }
+    }
+    
+    return report;
+}
+
+// Report (dryRun, the default) or reclaim orphaned uploads (admin only)
+app.post('/api/admin/uploads/gc', requireRole('admin'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const content = await db.collection('content').find({}).toArray();
-        res.json(content);
-    } catch (error) {
-        console.error('Error fetching data:', error);
-        res.status(500).json({ error: 'Failed to fetch data' });
+        const report = await sweepOrphanUploads({ dryRun: req.body.dryRun !== false });
+        auditChange(req, auditTarget('uploads'), null, { dryRun: report.dryRun, orphans: report.orphans.length, reclaimedBytes: report.reclaimedBytes });
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Error collecting orphaned uploads:', error);
+        res.status(500).json({ error: 'Failed to collect orphaned uploads' });
+    }
+});
+
+// Add a `library` array of shelf ids to each title when a user is given
+async function annotateLibrary(content, userId) {
+    if (!userId) {
+        return content;
+    }
+    
+    const shelves = await db.collection('library').find({ userId: String(userId) }).toArray();
+    return content.map(item => ({
+        ...item,
+        library: shelves
+            .filter(shelf => shelf.items.includes(item.id))
+            .map(shelf => shelf.shelfId)
+    }));
+}
+
+// Slug helpers
+
+// URL-safe slug from a title ("Demon Slayer: Kimetsu" -> "demon-slayer-kimetsu")
+function slugify(title) {
+    const slug = String(title || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/, '');
+    
+    // All-digit slugs would be mistaken for numeric ids
+    if (!slug) return 'title';
+    return /^\d+$/.test(slug) ? `title-${slug}` : slug;
+}
+
+// Unique slug for a title; slugs a title used before stay reserved for it
+async function generateUniqueSlug(title, contentId = null) {
+    const base = slugify(title);
+    
+    for (let suffix = 1; ; suffix++) {
+        const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+        const taken = await db.collection('content').findOne({
+            $or: [{ slug: candidate }, { previousSlugs: candidate }],
+            ...(contentId !== null && { id: { $ne: contentId } })
+        });
+        if (!taken) {
+            return candidate;
+        }
+    }
+}
+
+// Give every title created before slugs existed a slug
+async function backfillSlugs() {
+    const missing = await db.collection('content')
+        .find({ slug: { $exists: false } })
+        .sort({ id: 1 })
+        .toArray();
+    
+    for (const content of missing) {
+        const slug = await generateUniqueSlug(content.title, content.id);
+        await db.collection('content').updateOne(
+            { id: content.id },
+            { $set: { slug, previousSlugs: content.previousSlugs || [] } }
+        );
+    }
+    
+    if (missing.length > 0) {
+        console.log(`✅ Backfilled slugs for ${missing.length} titles`);
+    }
+}
+
+// Fields to $set when a title is renamed: a new slug, with the old one kept for redirects
+async function slugChangesFor(existing, title) {
+    if (!title || title === existing.title) {
+        return {};
+    }
+    
+    const slug = await generateUniqueSlug(title, existing.id);
+    if (slug === existing.slug) {
+        return {};
+    }
+    
+    return {
+        slug,
+        previousSlugs: [
+            ...(existing.previousSlugs || []).filter(oldSlug => oldSlug !== slug),
+            ...(existing.slug ? [existing.slug] : [])
+        ]
+    };
+}
+
+// Look up content by numeric id, current slug or a previous slug (trashed titles are not found).
+// `canonical` is false when an old slug was used.
+async function resolveContent(idOrSlug) {
+    const key = String(idOrSlug);
+    
+    if (/^\d+$/.test(key)) {
+        return { content: await db.collection('content').findOne({ id: parseInt(key), ...NOT_TRASHED }), canonical: true };
+    }
+    
+    const content = await db.collection('content').findOne({ slug: key, ...NOT_TRASHED });
+    if (content) {
+        return { content, canonical: true };
+    }
+    
+    return { content: await db.collection('content').findOne({ previousSlugs: key, ...NOT_TRASHED }), canonical: false };
+}
+
+// Permanently redirect a GET request that used an old slug to the current one
+function redirectToCanonical(req, res, oldSlug, content) {
+    const [pathname, queryString] = req.originalUrl.split('?');
+    const canonicalPath = pathname
+        .split('/')
+        .map(part => decodeURIComponent(part) === oldSlug ? encodeURIComponent(content.slug) : part)
+        .join('/');
+    
+    res.redirect(301, canonicalPath + (queryString ? `?${queryString}` : ''));
+}
+
+// Listing helpers
+
+// Fields included in the compact "card" representation used by listing views
+const CARD_FIELDS = ['id', 'slug', 'title', 'type', 'cover', 'author', 'genres', 'status', 'rating', 'ratingMode', 'manualRating', 'ratingCount', 'chapters_count', 'description', 'created_at', 'updated_at'];
+const CARD_DESCRIPTION_LENGTH = 160;
+
+function shortenCardDescriptions(items) {
+    items.forEach(item => {
+        if (item.description && item.description.length > CARD_DESCRIPTION_LENGTH) {
+            item.description = item.description.slice(0, CARD_DESCRIPTION_LENGTH).trimEnd() + '…';
+        }
+    });
+}
+
+const LIST_SORTS = {
+    id: { id: 1 },
+    newest: { created_at: -1, id: -1 },
+    updated: { updated_at: -1, id: -1 },
+    popularity: { chapters_count: -1, id: 1 },
+    title: { title: 1, id: 1 }
+};
+
+// Same path and query string with some parameters replaced
+function pageLink(req, overrides) {
+    const params = new URLSearchParams(req.query);
+    Object.entries(overrides).forEach(([key, value]) => params.set(key, value));
+    return `${req.path}?${params}`;
+}
+
+const LIST_PARAMS = ['type', 'view', 'fields', 'sort', 'page', 'limit', 'cursor', 'user'];
+
+// Repeated (?type=a&type=b) or bracketed (?type[$ne]=x) params arrive as arrays and objects; listings and
+// searches only take plain strings, so anything else is rejected before it can reach a query as an operator
+function parseQueryParams(query, names) {
+    const params = {};
+    for (const param of names) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        if (typeof query[param] !== 'string') {
+            return { error: `${param} must be a single value` };
+        }
+        params[param] = query[param];
+    }
+    return { params };
+}
+
+// List content for /api/manga and /api/data; returns { error } for parameters that aren't plain strings.
+// Without page, limit or cursor the full array is returned, as older clients expect.
+async function listContent(req) {
+    const { params: query, error } = parseQueryParams(req.query, LIST_PARAMS);
+    if (error) {
+        return { error };
+    }
+    // Unknown sorts are ignored; hasOwn keeps prototype keys (?sort=constructor) out
+    const sort = query.sort && Object.hasOwn(LIST_SORTS, query.sort) ? LIST_SORTS[query.sort] : null;
+    const filter = { ...NOT_TRASHED };
+    if (query.type) {
+        filter.type = query.type;
+    }
+    
+    let fields = null;
+    if (query.view === 'card') {
+        fields = CARD_FIELDS;
+    } else if (query.fields) {
+        fields = ['id', ...query.fields.split(',').map(field => field.trim()).filter(field => /^\w+$/.test(field))];
+    }
+    const projection = fields
+        ? Object.fromEntries([['_id', 0], ...fields.map(field => [field, 1])])
+        : {};
+    
+    const toItems = async (content) => {
+        if (query.view === 'card') {
+            shortenCardDescriptions(content);
+        }
+        return annotateLibrary(content, query.user);
+    };
+    
+    const paginated = query.page !== undefined || query.limit !== undefined || query.cursor !== undefined;
+    if (!paginated) {
+        return toItems(await db.collection('content').find(filter).project(projection).sort(sort || {}).toArray());
+    }
+    
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    const total = await db.collection('content').countDocuments(filter);
+    
+    // Cursor pagination walks the catalogue by id; offset pagination supports any sort
+    if (query.cursor !== undefined) {
+        const cursor = parseInt(query.cursor) || 0;
+        const content = await db.collection('content')
+            .find({ ...filter, id: { $gt: cursor } })
+            .project(projection)
+            .sort({ id: 1 })
+            .limit(limit + 1)
+            .toArray();
+        
+        const hasMore = content.length > limit;
+        const items = content.slice(0, limit);
+        const nextCursor = hasMore ? items[items.length - 1].id : null;
+        
+        return {
+            items: await toItems(items),
+            total,
+            limit,
+            nextCursor,
+            next: hasMore ? pageLink(req, { cursor: nextCursor }) : null
+        };
+    }
+    
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const totalPages = Math.ceil(total / limit);
+    const content = await db.collection('content')
+        .find(filter)
+        .project(projection)
+        .sort(sort || LIST_SORTS.id)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+    
+    return {
+        items: await toItems(content),
+        total,
+        page,
+        limit,
+        totalPages,
+        next: page < totalPages ? pageLink(req, { page: page + 1 }) : null,
+        prev: page > 1 ? pageLink(req, { page: page - 1 }) : null
+    };
+}
+
+// API Routes
+app.get('/api/data', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const result = await listContent(req);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching data:', error);
+        res.status(500).json({ error: 'Failed to fetch data' });
+    }
+});
+
+// Get all manga/novel content
+app.get('/api/manga', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const result = await listContent(req);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching manga:', error);
+        res.status(500).json({ error: 'Failed to fetch manga' });
+    }
+});
+
+// Search helpers
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const SEARCH_SORTS = {
+    relevance: { score: -1, updated_at: -1 },
+    updated: { updated_at: -1 },
+    rating: { ratingValue: -1, title: 1 },
+    popularity: { chapters_count: -1, ratingValue: -1 },
+    title: { title: 1 }
+};
+
+const SEARCH_PARAMS = ['q', 'type', 'status', 'genres', 'author', 'minRating', 'maxRating', 'sort', 'user'];
+
+// Build the filter part of a catalogue search from query parameters
+function buildSearchFilters(query) {
+    const filters = [NOT_TRASHED];
+    
+    if (query.type) {
+        filters.push({ type: query.type });
+    }
+    
+    if (query.status) {
+        filters.push({ status: { $regex: `^${escapeRegex(query.status)}$`, $options: 'i' } });
+    }
+    
+    // genres are stored as a comma separated string, so every requested genre must appear in it
+    if (query.genres) {
+        query.genres.split(',').map(genre => genre.trim()).filter(Boolean).forEach(genre => {
+            filters.push({ genres: { $regex: `(^|,)\\s*${escapeRegex(genre)}\\s*(,|$)`, $options: 'i' } });
+        });
+    }
+    
+    if (query.author) {
+        filters.push({ author: { $regex: escapeRegex(query.author), $options: 'i' } });
+    }
+    
+    return filters;
+}
+
+// Run a catalogue search; textSearch=false falls back to partial matching
+async function searchContent(query, { textSearch, page, limit }) {
+    const q = (query.q || '').trim();
+    const filters = buildSearchFilters(query);
+    
+    if (q && textSearch) {
+        filters.unshift({ $text: { $search: q } });
+    } else if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        filters.push({ $or: [{ title: pattern }, { author: pattern }, { genres: pattern }] });
+    }
+    
+    // rating is stored as either a number or a string
+    const ratingRange = {};
+    if (query.minRating) ratingRange.$gte = parseFloat(query.minRating);
+    if (query.maxRating) ratingRange.$lte = parseFloat(query.maxRating);
+    
+    const sortKey = query.sort && Object.prototype.hasOwnProperty.call(SEARCH_SORTS, query.sort) ? query.sort : (q ? 'relevance' : 'updated');
+    const sort = sortKey === 'relevance' && !(q && textSearch) ? SEARCH_SORTS.updated : SEARCH_SORTS[sortKey];
+    
+    const pipeline = [
+        { $match: filters.length ? { $and: filters } : {} },
+        {
+            $addFields: {
+                ratingValue: { $convert: { input: '$rating', to: 'double', onError: 0, onNull: 0 } },
+                ...(q && textSearch ? { score: { $meta: 'textScore' } } : {})
+            }
+        }
+    ];
+    if (Object.keys(ratingRange).length) {
+        pipeline.push({ $match: { ratingValue: ratingRange } });
+    }
+    pipeline.push(
+        { $sort: sort },
+        {
+            $facet: {
+                items: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { _id: 0, ratingValue: 0 } }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    );
+    
+    const [result] = await db.collection('content').aggregate(pipeline).toArray();
+    return {
+        items: result.items,
+        total: result.total.length ? result.total[0].count : 0,
+        sort: sortKey
+    };
+}
+
+// Search manga/novels (text index with relevance ranking, filters, sorting and paging)
+app.get('/api/search', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        
+        const { params, error } = parseQueryParams(req.query, SEARCH_PARAMS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (params.sort && !Object.prototype.hasOwnProperty.call(SEARCH_SORTS, params.sort)) {
+            return res.status(400).json({ error: `sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}` });
+        }
+        
+        // Whole-word text search first; partial words ("dem" for "Demon") fall back to a regex match
+        let matchMode = 'text';
+        let result = await searchContent(params, { textSearch: true, page, limit });
+        if (result.total === 0 && params.q) {
+            matchMode = 'partial';
+            result = await searchContent(params, { textSearch: false, page, limit });
+        }
+        
+        res.json({
+            items: await annotateLibrary(result.items, params.user),
+            total: result.total,
+            page,
+            limit,
+            totalPages: Math.ceil(result.total / limit),
+            sort: result.sort,
+            matchMode
+        });
+    } catch (error) {
+        console.error('Error searching content:', error);
+        res.status(500).json({ error: 'Failed to search content' });
+    }
+});
+
+// Get specific manga/novel by ID
+app.get('/api/manga/:id', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content, canonical } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, req.params.id, content);
+        }
+        const { userId, error } = queryUser(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const [annotated] = await annotateLibrary([content], userId);
+        res.json(annotated);
+    } catch (error) {
+        console.error('Error fetching manga:', error);
+        res.status(500).json({ error: 'Failed to fetch manga' });
+    }
+});
+
+// Create new manga/novel
+app.post('/api/manga', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { policy: lockPolicy, error } = normalizeLockPolicy(req.body.lockPolicy, TITLE_LOCK_POLICY_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (req.body.ratingMode !== undefined && !RATING_MODES.includes(req.body.ratingMode)) {
+            return res.status(400).json({ error: `ratingMode must be one of: ${RATING_MODES.join(', ')}` });
+        }
+        
+        const newContent = await createContent({ ...req.body, lockPolicy });
+        auditChange(req, auditTarget('content', newContent.id), null, newContent);
+        res.json(newContent);
+    } catch (error) {
+        console.error('Error creating manga:', error);
+        res.status(500).json({ error: 'Failed to create manga' });
+    }
+});
+
+// Insert a new manga/novel with the next free id and a unique slug
+async function createContent({ title, description, type, cover, author, genres, status, rating, ratingMode, chapters_count, lockPolicy }) {
+    // Generate a new ID
+    const lastContent = await db.collection('content').find().sort({ id: -1 }).limit(1).toArray();
+    const newId = lastContent.length > 0 ? lastContent[0].id + 1 : 1;
+    
+    const newContent = {
+        id: newId,
+        slug: await generateUniqueSlug(title, newId),
+        previousSlugs: [],
+        title,
+        description,
+        type: type || 'manga',
+        cover,
+        author: author || 'Unknown',
+        genres: genres || 'Action, Adventure',
+        status: status || 'Ongoing',
+        rating: rating || '4.5',
+        ...(ratingMode === 'computed' && { ratingMode, manualRating: rating || '4.5' }),
+        ratingAverage: null,
+        ratingCount: 0,
+        chapters_count: chapters_count || 0,
+        ...(lockPolicy && { lockPolicy }),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+    
+    await db.collection('content').insertOne(newContent);
+    return newContent;
+}
+
+// Update manga/novel
+app.put('/api/manga/:id', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { title, description, cover, author, genres, status, rating } = req.body;
+        
+        const changes = {
+            ...(title && { title }),
+            ...(description && { description }),
+            ...(cover && { cover }),
+            ...(author && { author }),
+            ...(genres && { genres }),
+            ...(status && { status }),
+            ...(rating && { rating })
+        };
+        
+        // An empty lockPolicy (or null) puts the title back on the site-wide defaults
+        const { policy: lockPolicy, error } = normalizeLockPolicy(req.body.lockPolicy, TITLE_LOCK_POLICY_FIELDS);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (lockPolicy !== undefined) {
+            changes.lockPolicy = lockPolicy && Object.keys(lockPolicy).length > 0 ? lockPolicy : null;
+        }
+        
+        // 'computed' shows the readers' average instead of the typed rating
+        if (req.body.ratingMode !== undefined) {
+            if (!RATING_MODES.includes(req.body.ratingMode)) {
+                return res.status(400).json({ error: `ratingMode must be one of: ${RATING_MODES.join(', ')}` });
+            }
+            changes.ratingMode = req.body.ratingMode;
+        }
+        
+        const existing = await db.collection('content').findOne({ id: parseInt(req.params.id), ...NOT_TRASHED });
+        if (!existing) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const { content, revision } = await saveContent(existing, changes, req.user);
+        auditChange(req, auditTarget('content', content.id), existing, content);
+        
+        res.json({
+            success: true,
+            message: 'Content updated successfully',
+            slug: content.slug,
+            revision: revision ? revision.revision : null
+        });
+    } catch (error) {
+        console.error('Error updating manga:', error);
+        res.status(500).json({ error: 'Failed to update manga' });
+    }
+});
+
+// Get chapters for specific manga/novel
+app.get('/api/manga/:id/chapters', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content, canonical } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, req.params.id, content);
+        }
+        
+        const { userId, error } = queryUser(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const staff = canPreviewDrafts(req);
+        const chapters = await listChapters(content.id, undefined, { includeUnpublished: staff });
+        const access = userId ? await getChapterAccessMap(userId, content) : null;
+        
+        // Pages and text only go out for chapters this user may read (staff see everything)
+        const readable = staff ? null : access || await getChapterAccessMap('guest', content);
+        
+        // Convert to object format expected by frontend (use /chapter-list when order matters)
+        const chaptersObject = {};
+        chapters.forEach(chapter => {
+            const open = !readable || isReadable(readable.get(chapter.chapterId));
+            chaptersObject[chapter.chapterId] = {
+                title: chapter.title,
+                pages: open ? chapter.pages || [] : [],
+                content: open ? chapter.content || null : null,
+                number: chapter.number,
+                volume: chapter.volume,
+                sortKey: chapter.sortKey,
+                ...publicationFields(chapter),
+                ...(chapter.access && { accessMode: chapter.access }),
+                ...(access && { access: access.get(chapter.chapterId) })
+            };
+        });
+        
+        res.json(chaptersObject);
+    } catch (error) {
+        console.error('Error fetching chapters:', error);
+        res.status(500).json({ error: 'Failed to fetch chapters' });
+    }
+});
+
+// Chapters in reading order, grouped into volumes (no page or text bodies)
+app.get('/api/manga/:id/chapter-list', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content, canonical } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, req.params.id, content);
+        }
+        
+        const { userId, error } = queryUser(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const chapters = await listChapters(content.id, CHAPTER_SUMMARY_FIELDS, { includeUnpublished: canPreviewDrafts(req) });
+        const access = userId ? await getChapterAccessMap(userId, content) : null;
+        
+        // Consecutive chapters sharing a volume form one group
+        const volumes = [];
+        chapters.forEach(chapter => {
+            const last = volumes[volumes.length - 1];
+            if (last && last.volume === chapter.volume) {
+                last.chapterIds.push(chapter.chapterId);
+            } else {
+                volumes.push({ volume: chapter.volume, chapterIds: [chapter.chapterId] });
+            }
+        });
+        
+        res.json({
+            contentId: content.id,
+            slug: content.slug,
+            total: chapters.length,
+            chapters: chapters.map(chapter => formatChapterSummary(chapter, access)),
+            volumes
+        });
+    } catch (error) {
+        console.error('Error fetching chapter list:', error);
+        res.status(500).json({ error: 'Failed to fetch chapter list' });
+    }
+});
+
+// One chapter's details with first/prev/next/latest links
+app.get('/api/manga/:id/chapters/:chapterId', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content, canonical } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, req.params.id, content);
+        }
+        
+        const { userId, error } = queryUser(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const chapters = await listChapters(content.id, CHAPTER_SUMMARY_FIELDS, { includeUnpublished: canPreviewDrafts(req) });
+        const navigation = chapterNavigation(content, chapters, req.params.chapterId);
+        if (!navigation) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        const access = userId ? await getChapterAccessMap(userId, content) : null;
+        const chapter = chapters[navigation.index];
+        const liked = userId
+            ? !!(await db.collection('chapter_likes').findOne({ contentId: content.id, chapterId: chapter.chapterId, userId }))
+            : undefined;
+        res.json({
+            ...formatChapterSummary(chapter, access),
+            ...(liked !== undefined && { liked }),
+            navigation
+        });
+    } catch (error) {
+        console.error('Error fetching chapter:', error);
+        res.status(500).json({ error: 'Failed to fetch chapter' });
+    }
+});
+
+// Create new chapter
+app.post('/api/manga/:id/chapters', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { chapterId, title, pages, content } = req.body;
+        
+        const order = normalizeChapterOrder(req.body);
+        if (order.error) {
+            return res.status(400).json({ error: order.error });
+        }
+        
+        const publication = normalizePublication(req.body);
+        if (publication.error) {
+            return res.status(400).json({ error: publication.error });
+        }
+        
+        const { content: parent } = await resolveContent(req.params.id);
+        if (!parent) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        const contentId = parent.id;
+        
+        const { chapter: newChapter, error } = await createChapter(contentId, { chapterId, title, pages, content, ...order.fields, ...publication.fields });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        auditChange(req, auditTarget('chapter', contentId, newChapter.chapterId), null, newChapter);
+        res.json(newChapter);
+    } catch (error) {
+        console.error('Error creating chapter:', error);
+        res.status(500).json({ error: 'Failed to create chapter' });
+    }
+});
+
+// Insert a chapter (published unless a status says otherwise); returns { chapter }, or { error } if the chapter id
+// is taken, including by a trashed chapter that would otherwise block the id without showing up anywhere
+async function createChapter(contentId, { chapterId, title, pages, content, number, volume, sortKey, status = 'published', publishAt = null }) {
+    const existingChapter = await db.collection('chapters').findOne({
+        contentId: contentId,
+        chapterId: chapterId
+    });
+    
+    if (existingChapter) {
+        const error = existingChapter.deleted_at ? 'Chapter is in the trash; restore it instead' : 'Chapter already exists';
+        return { error };
+    }
+    
+    const newChapter = {
+        contentId: contentId,
+        chapterId: chapterId,
+        title: title || `Chapter ${chapterId}`,
+        pages: pages || [],
+        content: content || null,
+        ...(await chapterOrderFor(contentId, chapterId, { number, volume, sortKey })),
+        status,
+        ...(status === 'scheduled' && { publishAt }),
+        ...(status === 'published' && { published_at: new Date().toISOString() }),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+    
+    await db.collection('chapters').insertOne(newChapter);
+    
+    // Only published chapters count towards the title (and make it "recently updated")
+    if (status === 'published') {
+        await db.collection('content').updateOne(
+            { id: contentId },
+            { $inc: { chapters_count: 1 }, $set: { updated_at: newChapter.published_at } }
+        );
+    }
+    
+    return { chapter: newChapter };
+}
+
+// Chapters without a status predate drafts and are published
+const CHAPTER_STATUSES = ['draft', 'scheduled', 'published'];
+const PUBLISHED_CHAPTERS = { status: { $nin: ['draft', 'scheduled'] } };
+
+// Staff see drafts and scheduled chapters in listings; everyone else only sees published ones
+function canPreviewDrafts(req) {
+    return !!req.user && ROLES.indexOf(req.user.role) >= ROLES.indexOf('editor');
+}
+
+function publicationFields(chapter) {
+    return {
+        status: chapter.status || 'published',
+        ...(chapter.publishAt && { publishAt: chapter.publishAt }),
+        ...(chapter.published_at && { published_at: chapter.published_at })
+    };
+}
+
+// { status, publishAt } from a request; a publishAt alone means scheduled, one in the past means publish now
+function normalizePublication(input) {
+    let status = input.status || (input.publishAt ? 'scheduled' : 'published');
+    if (!CHAPTER_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${CHAPTER_STATUSES.join(', ')}` };
+    }
+    
+    let publishAt = null;
+    if (status === 'scheduled') {
+        publishAt = new Date(input.publishAt);
+        if (!input.publishAt || isNaN(publishAt.getTime())) {
+            return { error: 'Scheduled chapters need a valid publishAt time' };
+        }
+        if (publishAt <= new Date()) {
+            status = 'published';
+            publishAt = null;
+        }
+    }
+    
+    return { fields: { status, publishAt } };
+}
+
+// Move a draft/scheduled chapter live; the status check makes this safe to race across instances
+async function publishChapter(chapter) {
+    const now = new Date().toISOString();
+    const result = await db.collection('chapters').updateOne(
+        { _id: chapter._id, status: { $in: ['draft', 'scheduled'] }, ...NOT_TRASHED },
+        { $set: { status: 'published', published_at: now, updated_at: now }, $unset: { publishAt: '' } }
+    );
+    if (result.modifiedCount === 0) {
+        return false;
+    }
+    
+    await db.collection('content').updateOne(
+        { id: chapter.contentId },
+        { $inc: { chapters_count: 1 }, $set: { updated_at: now } }
+    );
+    return true;
+}
+
+// Take a published chapter back to draft or scheduled
+async function unpublishChapter(chapter, { status, publishAt }) {
+    const now = new Date().toISOString();
+    const result = await db.collection('chapters').updateOne(
+        { _id: chapter._id, ...PUBLISHED_CHAPTERS, ...NOT_TRASHED },
+        {
+            $set: { status, ...(publishAt && { publishAt }), updated_at: now },
+            $unset: { published_at: '', ...(!publishAt && { publishAt: '' }) }
+        }
+    );
+    if (result.modifiedCount > 0) {
+        await db.collection('content').updateOne({ id: chapter.contentId }, { $inc: { chapters_count: -1 } });
+    }
+}
+
+async function publishDueChapters() {
+    const due = await db.collection('chapters')
+        .find({ status: 'scheduled', publishAt: { $lte: new Date() }, ...NOT_TRASHED }, { projection: { contentId: 1, chapterId: 1 } })
+        .toArray();
+    
+    let published = 0;
+    for (const chapter of due) {
+        if (await publishChapter(chapter)) {
+            published++;
+        }
+    }
+    
+    if (published > 0) {
+        console.log(`Published ${published} scheduled chapters`);
+    }
+    return { published };
+}
+
+const naturalCompare = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' }).compare;
+
+// Chapter numbering: `number` and `volume` are what readers see, `sortKey` orders the chapter list
+const CHAPTER_ORDER_FIELDS = ['number', 'volume', 'sortKey'];
+
+// Validates the numbering fields present in `input`; null or '' clears a field
+function normalizeChapterOrder(input) {
+    const fields = {};
+    
+    for (const field of CHAPTER_ORDER_FIELDS) {
+        if (input[field] === undefined) {
+            continue;
+        }
+        if (input[field] === null || input[field] === '') {
+            fields[field] = null;
+            continue;
+        }
+        
+        const value = Number(input[field]);
+        if (!Number.isFinite(value)) {
+            return { error: `${field} must be a number` };
+        }
+        fields[field] = value;
+    }
+    
+    return { fields };
+}
+
+// "12.5" -> 12.5, "chapter-7" -> 7; null when the id carries no number
+function chapterNumberFromId(chapterId) {
+    const number = parseFloat(chapterIdFromName(String(chapterId)));
+    return Number.isFinite(number) ? number : null;
+}
+
+// "Vol.2 Ch.12" -> 2
+function volumeFromName(name) {
+    const match = name.match(/(?:^|[^a-z])vol(?:ume)?[\s._-]*(\d+)/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Unnumbered chapters go after the current last chapter
+async function nextSortKey(contentId) {
+    const [last] = await db.collection('chapters')
+        .find({ contentId, sortKey: { $type: 'number' } }, { projection: { sortKey: 1 } })
+        .sort({ sortKey: -1 })
+        .limit(1)
+        .toArray();
+    return last ? Math.floor(last.sortKey) + 1 : 1;
+}
+
+// Fill in the numbering fields a new chapter was not given
+async function chapterOrderFor(contentId, chapterId, { number, volume, sortKey } = {}) {
+    const chapterNumber = typeof number === 'number' ? number : chapterNumberFromId(chapterId);
+    let key = typeof sortKey === 'number' ? sortKey : chapterNumber;
+    if (key === null) {
+        key = await nextSortKey(contentId);
+    }
+    
+    return {
+        number: chapterNumber,
+        volume: typeof volume === 'number' ? volume : null,
+        sortKey: key
+    };
+}
+
+function compareChapters(a, b) {
+    const keyA = typeof a.sortKey === 'number' ? a.sortKey : Infinity;
+    const keyB = typeof b.sortKey === 'number' ? b.sortKey : Infinity;
+    return (keyA === keyB ? 0 : keyA - keyB) || naturalCompare(a.chapterId, b.chapterId);
+}
+
+// A title's chapters in reading order (published ones only unless asked; never trashed ones)
+async function listChapters(contentId, projection = undefined, { includeUnpublished = false } = {}) {
+    const filter = includeUnpublished ? { contentId, ...NOT_TRASHED } : { contentId, ...PUBLISHED_CHAPTERS, ...NOT_TRASHED };
+    const chapters = await db.collection('chapters').find(filter, { projection }).toArray();
+    return chapters.sort(compareChapters);
+}
+
+// Chapters created before numbering existed get it from their ids, in their old (natural) order
+async function backfillChapterOrder() {
+    const contentIds = await db.collection('chapters').distinct('contentId', { sortKey: { $exists: false } });
+    let backfilled = 0;
+    
+    for (const contentId of contentIds) {
+        const missing = (await db.collection('chapters')
+            .find({ contentId, sortKey: { $exists: false } }, { projection: { chapterId: 1 } })
+            .toArray())
+            .sort((a, b) => naturalCompare(a.chapterId, b.chapterId));
+        
+        for (const chapter of missing) {
+            await db.collection('chapters').updateOne(
+                { _id: chapter._id },
+                { $set: await chapterOrderFor(contentId, chapter.chapterId) }
+            );
+            backfilled++;
+        }
+    }
+    
+    if (backfilled > 0) {
+        console.log(`✅ Backfilled chapter numbering for ${backfilled} chapters`);
+    }
+}
+
+function chapterLink(content, chapter) {
+    if (!chapter) {
+        return null;
+    }
+    
+    return {
+        chapterId: chapter.chapterId,
+        title: chapter.title,
+        number: chapter.number,
+        volume: chapter.volume,
+        url: `/chapter/${content.slug}/${encodeURIComponent(chapter.chapterId)}`
+    };
+}
+
+// first/prev/next/latest links for a chapter within its title's ordered chapter list
+function chapterNavigation(content, chapters, chapterId) {
+    const index = chapters.findIndex(chapter => chapter.chapterId === chapterId);
+    if (index === -1) {
+        return null;
+    }
+    
+    return {
+        index,
+        total: chapters.length,
+        first: chapterLink(content, chapters[0]),
+        prev: chapterLink(content, chapters[index - 1]),
+        next: chapterLink(content, chapters[index + 1]),
+        latest: chapterLink(content, chapters[chapters.length - 1])
+    };
+}
+
+const CHAPTER_SUMMARY_FIELDS = {
+    chapterId: 1, title: 1, number: 1, volume: 1, sortKey: 1, access: 1, pages: 1,
+    status: 1, publishAt: 1, published_at: 1, likes: 1, created_at: 1, updated_at: 1
+};
+
+function formatChapterSummary(chapter, access) {
+    return {
+        chapterId: chapter.chapterId,
+        title: chapter.title,
+        number: chapter.number,
+        volume: chapter.volume,
+        sortKey: chapter.sortKey,
+        pageCount: (chapter.pages || []).length,
+        likes: chapter.likes || 0,
+        ...publicationFields(chapter),
+        created_at: chapter.created_at,
+        updated_at: chapter.updated_at,
+        ...(chapter.access && { accessMode: chapter.access }),
+        ...(access && { access: access.get(chapter.chapterId) })
+    };
+}
+
+// "Vol.2 Chapter 12.5" -> "12.5"; falls back to the last number, then to a slug of the name
+function chapterIdFromName(name) {
+    const labelled = name.match(/(?:^|[^a-z])(?:ch(?:apter)?|c)[\s._-]*(\d+(?:\.\d+)?)/i);
+    if (labelled) {
+        return String(parseFloat(labelled[1]));
+    }
+    
+    const numbers = name.match(/\d+(?:\.\d+)?/g);
+    if (numbers) {
+        return String(parseFloat(numbers[numbers.length - 1]));
+    }
+    
+    return slugify(name);
+}
+
+// Group the images in a CBZ/ZIP by folder; each folder (or the archive root) is one chapter
+function readChapterArchive(buffer, archiveName) {
+    const zip = openArchive(buffer);
+    const folders = new Map();
+    const skipped = [];
+    
+    zip.getEntries().forEach(entry => {
+        if (entry.isDirectory) {
+            return;
+        }
+        
+        const segments = entry.entryName.split('/');
+        const filename = segments.pop();
+        if (segments.includes('__MACOSX') || filename.startsWith('.')) {
+            return;
+        }
+        
+        const contentType = IMAGE_TYPES[path.extname(filename).toLowerCase()];
+        if (!contentType) {
+            skipped.push({ file: entry.entryName, error: 'Not an image' });
+            return;
+        }
+        
+        const folder = segments.join('/');
+        if (!folders.has(folder)) {
+            folders.set(folder, []);
+        }
+        folders.get(folder).push({ entry, filename, contentType });
+    });
+    
+    const chapters = [...folders.entries()]
+        .map(([folder, pages]) => ({
+            name: folder ? folder.split('/').pop() : path.basename(archiveName, path.extname(archiveName)),
+            pages: pages.sort((a, b) => naturalCompare(a.entry.entryName, b.entry.entryName))
+        }))
+        .sort((a, b) => naturalCompare(a.name, b.name));
+    
+    return { chapters, skipped };
+}
+
+// Create manga chapters from a CBZ/ZIP archive (one chapter, or one chapter per folder)
+app.post('/api/manga/:id/chapters/archive', requireRole('editor'), archiveUpload.single('archive'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No archive uploaded' });
+        }
+        
+        // Every chapter in the archive gets the same status (e.g. all scheduled for one time)
+        const publication = normalizePublication(req.body);
+        if (publication.error) {
+            return res.status(400).json({ error: publication.error });
+        }
+        
+        const { content: parent } = await resolveContent(req.params.id);
+        if (!parent) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        let archive;
+        try {
+            archive = readChapterArchive(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read archive: ${error.message}` });
+        }
+        
+        if (archive.chapters.length === 0) {
+            return res.status(400).json({ error: 'Archive contains no images', errors: archive.skipped });
+        }
+        
+        // An explicit chapter id/title only makes sense for a single-chapter archive
+        const single = archive.chapters.length === 1;
+        const results = [];
+        const errors = [...archive.skipped];
+        
+        for (const chapter of archive.chapters) {
+            const chapterId = (single && req.body.chapterId) || chapterIdFromName(chapter.name);
+            const title = (single && req.body.title) || (chapter.name !== chapterId ? chapter.name : null);
+            
+            const existingChapter = await db.collection('chapters').findOne({ contentId: parent.id, chapterId });
+            if (existingChapter) {
+                const error = existingChapter.deleted_at ? 'Chapter is in the trash; restore it instead' : 'Chapter already exists';
+                results.push({ chapterId, name: chapter.name, status: 'failed', error });
+                continue;
+            }
+            
+            const pages = [];
+            for (const page of chapter.pages) {
+                try {
+                    const { url } = await storeUpload(page.filename, page.contentType, page.entry.getData());
+                    pages.push(url);
+                } catch (error) {
+                    errors.push({ file: page.entry.entryName, error: 'Failed to extract or store page' });
+                }
+            }
+            
+            if (pages.length === 0) {
+                results.push({ chapterId, name: chapter.name, status: 'failed', error: 'No pages could be stored' });
+                continue;
+            }
+            
+            const { chapter: created, error } = await createChapter(parent.id, {
+                chapterId,
+                title,
+                pages,
+                volume: volumeFromName(chapter.name),
+                ...publication.fields
+            });
+            results.push(created
+                ? { chapterId, name: chapter.name, status: 'created', title: created.title, pages: pages.length }
+                : { chapterId, name: chapter.name, status: 'failed', error });
+        }
+        
+        const imported = results.filter(result => result.status === 'created').map(result => result.chapterId);
+        auditChange(req, auditTarget('content', parent.id), null, { importedChapters: imported });
+        
+        res.json({
+            success: results.some(result => result.status === 'created'),
+            chapters: results,
+            errors
+        });
+    } catch (error) {
+        console.error('Error importing chapter archive:', error);
+        res.status(500).json({ error: 'Failed to import archive' });
+    }
+});
+
+// EPUB import for novels
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    isArray: name => ['rootfile', 'item', 'itemref', 'title', 'creator', 'subject', 'description', 'meta', 'navPoint'].includes(name)
+});
+
+const EPUB_ALLOWED_TAGS = [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'div', 'span', 'section',
+    'em', 'i', 'strong', 'b', 'u', 's', 'small', 'sub', 'sup', 'ruby', 'rt', 'rp',
+    'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'figure', 'figcaption', 'img', 'a'
+];
+
+function asArray(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+// Text of a parsed XML node, whether it came back as a string or as { '#text': ... }
+function xmlText(node) {
+    const first = asArray(node)[0];
+    if (first === undefined) {
+        return '';
+    }
+    return String(typeof first === 'object' ? (first['#text'] || '') : first).trim();
+}
+
+function stripTags(html) {
+    return sanitizeHtml(html || '', { allowedTags: [], allowedAttributes: {} }).replace(/\s+/g, ' ').trim();
+}
+
+// Resolve an href against the EPUB file that references it
+function epubPath(baseFile, href) {
+    const target = decodeURIComponent(String(href).split('#')[0]);
+    return path.posix.normalize(path.posix.join(path.posix.dirname(baseFile), target));
+}
+
+// Map chapter file paths to their table-of-contents labels (EPUB 3 nav or EPUB 2 NCX)
+function readEpubToc(readText, manifest, tocId) {
+    const labels = new Map();
+    const addLabel = (file, label) => {
+        if (label && !labels.has(file)) {
+            labels.set(file, label);
+        }
+    };
+    
+    const navItem = [...manifest.values()].find(item => (item.properties || '').split(' ').includes('nav'));
+    if (navItem) {
+        const navHtml = readText(navItem.path) || '';
+        const tocNav = navHtml.match(/<nav\b[^>]*toc[^>]*>([\s\S]*?)<\/nav>/i);
+        const linkPattern = /<a\b[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+        let link;
+        while ((link = linkPattern.exec(tocNav ? tocNav[1] : navHtml))) {
+            addLabel(epubPath(navItem.path, link[1]), stripTags(link[2]));
+        }
+    }
+    
+    const ncxItem = manifest.get(tocId);
+    if (ncxItem) {
+        const ncx = xmlParser.parse(readText(ncxItem.path) || '').ncx || {};
+        const walk = navPoints => asArray(navPoints).forEach(navPoint => {
+            if (navPoint.content && navPoint.content.src) {
+                addLabel(epubPath(ncxItem.path, navPoint.content.src), xmlText(navPoint.navLabel && navPoint.navLabel.text));
+            }
+            walk(navPoint.navPoint);
+        });
+        walk(ncx.navMap && ncx.navMap.navPoint);
+    }
+    
+    return labels;
+}
+
+// Read the OPF package: metadata, cover, table of contents and the spine in reading order
+function readEpub(buffer) {
+    const zip = openArchive(buffer);
+    const readText = file => {
+        const entry = zip.getEntry(file);
+        return entry ? entry.getData().toString('utf8') : null;
+    };
+    
+    const container = xmlParser.parse(readText('META-INF/container.xml') || '').container;
+    const rootfile = container && container.rootfiles && asArray(container.rootfiles.rootfile)[0];
+    if (!rootfile || !rootfile['full-path']) {
+        throw new Error('Missing META-INF/container.xml rootfile');
+    }
+    
+    const opfPath = rootfile['full-path'];
+    const opf = xmlParser.parse(readText(opfPath) || '').package;
+    if (!opf || !opf.manifest || !opf.spine) {
+        throw new Error('Missing OPF manifest or spine');
+    }
+    
+    const manifest = new Map(asArray(opf.manifest.item).map(item => [
+        item.id,
+        { ...item, path: epubPath(opfPath, item.href) }
+    ]));
+    const metadata = opf.metadata || {};
+    
+    const coverMeta = asArray(metadata.meta).find(meta => meta.name === 'cover');
+    const coverItem = [...manifest.values()].find(item => (item.properties || '').split(' ').includes('cover-image'))
+        || (coverMeta && manifest.get(coverMeta.content));
+    
+    return {
+        zip,
+        title: xmlText(metadata.title),
+        author: asArray(metadata.creator).map(xmlText).filter(Boolean).join(', '),
+        description: stripTags(xmlText(metadata.description)),
+        genres: asArray(metadata.subject).map(xmlText).filter(Boolean).join(', '),
+        coverItem,
+        toc: readEpubToc(readText, manifest, opf.spine.toc),
+        spine: asArray(opf.spine.itemref)
+            .filter(ref => ref.linear !== 'no')
+            .map(ref => manifest.get(ref.idref))
+            .filter(Boolean)
+    };
+}
+
+// Turn one spine document into sanitized chapter HTML, storing its images in uploads
+async function readEpubChapter(epub, item, storeImage) {
+    const entry = epub.zip.getEntry(item.path);
+    if (!entry) {
+        throw new Error('File missing from archive');
+    }
+    
+    const html = entry.getData().toString('utf8');
+    const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    const body = bodyMatch ? bodyMatch[1] : html;
+    
+    // Store every referenced image first so the sanitizer can rewrite the src
+    const images = new Map();
+    const imagePattern = /<(?:img\b[^>]*?\bsrc|image\b[^>]*?\bhref)\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = imagePattern.exec(body))) {
+        const imagePath = epubPath(item.path, match[1]);
+        if (!images.has(imagePath)) {
+            images.set(imagePath, await storeImage(imagePath));
+        }
+    }
+    const imageUrl = href => (href ? images.get(epubPath(item.path, href)) : null) || '';
+    
+    const content = sanitizeHtml(body, {
+        allowedTags: EPUB_ALLOWED_TAGS,
+        allowedAttributes: { a: ['href'], img: ['src', 'alt'] },
+        allowedSchemes: ['http', 'https'],
+        nonTextTags: ['style', 'script', 'textarea', 'option', 'noscript', 'title'],
+        transformTags: {
+            img: (tagName, attribs) => ({ tagName, attribs: { src: imageUrl(attribs.src), alt: attribs.alt || '' } }),
+            image: (tagName, attribs) => ({ tagName: 'img', attribs: { src: imageUrl(attribs['xlink:href'] || attribs.href), alt: '' } }),
+            // Links between EPUB files have nowhere to point once the book is split into chapters
+            a: (tagName, attribs) => ({ tagName, attribs: /^https?:/i.test(attribs.href || '') ? { href: attribs.href } : {} })
+        },
+        exclusiveFilter: frame => frame.tag === 'img' && !frame.attribs.src
+    }).trim();
+    
+    const heading = body.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+    const titleTag = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    
+    return {
+        content,
+        text: stripTags(content),
+        images: [...images.values()].filter(Boolean),
+        title: epub.toc.get(item.path) || (heading && stripTags(heading[1])) || (titleTag && stripTags(titleTag[1])) || null
+    };
+}
+
+// Import an EPUB as a new novel, or append its chapters to an existing one (contentId)
+app.post('/api/import/epub', requireRole('editor'), archiveUpload.single('epub'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No EPUB uploaded' });
+        }
+        
+        const publication = normalizePublication(req.body);
+        if (publication.error) {
+            return res.status(400).json({ error: publication.error });
+        }
+        
+        let epub;
+        try {
+            epub = readEpub(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read EPUB: ${error.message}` });
+        }
+        
+        const errors = [];
+        const skipped = [];
+        const storedImages = new Map();
+        const storeImage = async imagePath => {
+            if (!storedImages.has(imagePath)) {
+                const entry = epub.zip.getEntry(imagePath);
+                const contentType = IMAGE_TYPES[path.extname(imagePath).toLowerCase()];
+                let url = null;
+                
+                if (!entry || !contentType) {
+                    errors.push({ file: imagePath, error: entry ? 'Unsupported image type' : 'Image missing from archive' });
+                } else {
+                    try {
+                        url = (await storeUpload(path.posix.basename(imagePath), contentType, entry.getData())).url;
+                    } catch (error) {
+                        errors.push({ file: imagePath, error: 'Failed to store image' });
+                    }
+                }
+                storedImages.set(imagePath, url);
+            }
+            return storedImages.get(imagePath);
+        };
+        
+        // Find the target novel: an explicit id/slug, a novel with the same title, or a new entry
+        let content;
+        let created = false;
+        if (req.body.contentId) {
+            ({ content } = await resolveContent(req.body.contentId));
+            if (!content) {
+                return res.status(404).json({ error: 'Content not found' });
+            }
+        } else {
+            const title = epub.title || path.basename(req.file.originalname, path.extname(req.file.originalname));
+            ({ content } = await resolveContent(slugify(title)));
+            
+            if (!content || content.type !== 'novel') {
+                content = await createContent({
+                    title,
+                    description: epub.description,
+                    type: 'novel',
+                    cover: epub.coverItem ? await storeImage(epub.coverItem.path) : undefined,
+                    author: epub.author || undefined,
+                    genres: epub.genres || undefined
+                });
+                created = true;
+            }
+        }
+        
+        if (content.type !== 'novel') {
+            return res.status(400).json({ error: 'EPUBs can only be imported into novels' });
+        }
+        
+        const coverUrl = epub.coverItem ? storedImages.get(epub.coverItem.path) : null;
+        let nextNumber = (await db.collection('chapters').countDocuments({ contentId: content.id })) + 1;
+        const chapters = [];
+        
+        for (const item of epub.spine) {
+            let chapter;
+            try {
+                chapter = await readEpubChapter(epub, item, storeImage);
+            } catch (error) {
+                errors.push({ file: item.path, error: error.message });
+                continue;
+            }
+            
+            // Cover and blank pages carry no text of their own
+            const onlyCover = chapter.images.every(url => url === coverUrl);
+            if (!chapter.text && onlyCover) {
+                skipped.push({ file: item.path, error: 'No text content' });
+                continue;
+            }
+            
+            let newChapter = null;
+            while (!newChapter) {
+                ({ chapter: newChapter } = await createChapter(content.id, {
+                    chapterId: String(nextNumber),
+                    title: chapter.title,
+                    content: chapter.content,
+                    ...publication.fields
+                }));
+                nextNumber++;
+            }
+            chapters.push({ chapterId: newChapter.chapterId, name: item.path, status: 'created', title: newChapter.title });
+        }
+        
+        auditChange(req, auditTarget('content', content.id), null, {
+            ...(created && { title: content.title }),
+            importedChapters: chapters.map(chapter => chapter.chapterId)
+        });
+        
+        res.json({
+            success: chapters.length > 0,
+            content: { id: content.id, slug: content.slug, title: content.title, created },
+            chapters,
+            skipped,
+            errors
+        });
+    } catch (error) {
+        console.error('Error importing EPUB:', error);
+        res.status(500).json({ error: 'Failed to import EPUB' });
+    }
+});
+
+// Set a chapter's access mode ('free', 'locked', 'early-access', or null to follow the title policy)
+app.put('/api/manga/:id/chapters/:chapterId/access', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { access } = req.body;
+        if (access !== null && !CHAPTER_ACCESS_MODES.includes(access)) {
+            return res.status(400).json({ error: `access must be null or one of: ${CHAPTER_ACCESS_MODES.join(', ')}` });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const previous = await db.collection('chapters').findOneAndUpdate(
+            { contentId: content.id, chapterId: req.params.chapterId, ...NOT_TRASHED },
+            access === null
+                ? { $unset: { access: '' }, $set: { updated_at: new Date().toISOString() } }
+                : { $set: { access, updated_at: new Date().toISOString() } },
+            { projection: { access: 1 } }
+        );
+        if (!previous) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        auditChange(req, auditTarget('chapter', content.id, req.params.chapterId), { access: previous.access }, { access });
+        res.json({ success: true, chapterId: req.params.chapterId, access });
+    } catch (error) {
+        console.error('Error updating chapter access:', error);
+        res.status(500).json({ error: 'Failed to update chapter access' });
+    }
+});
+
+// Set a chapter's number, volume and sort key (null resets number/sortKey to what the id implies)
+app.put('/api/manga/:id/chapters/:chapterId/numbering', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const order = normalizeChapterOrder(req.body);
+        if (order.error) {
+            return res.status(400).json({ error: order.error });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const chapter = await db.collection('chapters').findOne({ contentId: content.id, chapterId: req.params.chapterId, ...NOT_TRASHED });
+        if (!chapter) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        // Fields left out of the body keep their current values
+        const current = {};
+        CHAPTER_ORDER_FIELDS.forEach(field => {
+            current[field] = order.fields[field] !== undefined ? order.fields[field] : chapter[field];
+        });
+        const numbering = await chapterOrderFor(content.id, chapter.chapterId, current);
+        
+        await db.collection('chapters').updateOne(
+            { _id: chapter._id },
+            { $set: { ...numbering, updated_at: new Date().toISOString() } }
+        );
+        
+        auditChange(req, auditTarget('chapter', content.id, chapter.chapterId), pickFields(chapter, CHAPTER_ORDER_FIELDS), numbering);
+        res.json({ success: true, chapterId: chapter.chapterId, ...numbering });
+    } catch (error) {
+        console.error('Error updating chapter numbering:', error);
+        res.status(500).json({ error: 'Failed to update chapter numbering' });
+    }
+});
+
+// Revision history: every save stores the resulting document, so any two can be compared or restored
+
+const CONTENT_REVISION_FIELDS = ['title', 'description', 'cover', 'author', 'genres', 'status', 'rating', 'ratingMode', 'lockPolicy'];
+const CHAPTER_REVISION_FIELDS = ['title', 'pages', 'content'];
+
+// Line-level diffs are quadratic, so very long inputs are shown as a full replacement
+const REVISION_DIFF_LIMIT = 4 * 1000 * 1000;
+
+function revisionKey(contentId, chapterId = null) {
+    return { entity: chapterId === null ? 'content' : 'chapter', contentId, chapterId };
+}
+
+function pickFields(doc, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (doc[field] !== undefined) {
+            picked[field] = doc[field];
+        }
+    });
+    return picked;
+}
+
+function changedFields(fields, before, after) {
+    return fields.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Store `after` as the next revision; the first one also records `before` so the edit can be undone
+async function recordRevision(key, fields, before, after, user, extra = {}) {
+    const previous = pickFields(before, fields);
+    const next = pickFields(after, fields);
+    const changed = changedFields(fields, previous, next);
+    if (changed.length === 0) {
+        return null;
+    }
+    
+    const revisions = db.collection('revisions');
+    for (let attempt = 0; ; attempt++) {
+        const [latest] = await revisions.find(key).sort({ revision: -1 }).limit(1).toArray();
+        let number = latest ? latest.revision : 0;
+        
+        try {
+            if (!latest) {
+                number = 1;
+                await revisions.insertOne({
+                    ...key,
+                    revision: number,
+                    data: previous,
+                    changed: [],
+                    author: null,
+                    created_at: before.updated_at || before.created_at || new Date().toISOString()
+                });
+            }
+            
+            const revision = {
+                ...key,
+                revision: number + 1,
+                data: next,
+                changed,
+                author: user ? { id: user.id, email: user.email } : null,
+                created_at: new Date().toISOString(),
+                ...extra
+            };
+            await revisions.insertOne(revision);
+            return revision;
+        } catch (error) {
+            // Someone else saved at the same moment; number after theirs
+            if (error.code !== 11000 || attempt >= 2) {
+                throw error;
+            }
+        }
+    }
+}
+
+// Apply title metadata changes (null removes a field) and keep a revision of the result
+async function saveContent(existing, requested, user, extra = {}) {
+    const changes = ratingChanges(existing, requested);
+    const set = { updated_at: new Date().toISOString() };
+    const unset = {};
+    Object.entries(changes).forEach(([field, value]) => {
+        if (value === null || value === undefined) {
+            unset[field] = '';
+        } else {
+            set[field] = value;
+        }
+    });
+    
+    // A new title gets a new slug; the old one keeps redirecting here
+    Object.assign(set, await slugChangesFor(existing, changes.title));
+    
+    const content = await db.collection('content').findOneAndUpdate(
+        { id: existing.id },
+        { $set: set, ...(Object.keys(unset).length > 0 && { $unset: unset }) },
+        { returnDocument: 'after' }
+    );
+    const revision = await recordRevision(revisionKey(existing.id), CONTENT_REVISION_FIELDS, existing, content, user, extra);
+    return { content, revision };
+}
+
+async function saveChapter(chapter, changes, user, extra = {}) {
+    if (changedFields(Object.keys(changes), chapter, changes).length === 0) {
+        return { chapter, revision: null };
+    }
+    
+    const updated = await db.collection('chapters').findOneAndUpdate(
+        { _id: chapter._id },
+        { $set: { ...changes, updated_at: new Date().toISOString() } },
+        { returnDocument: 'after' }
+    );
+    const revision = await recordRevision(revisionKey(chapter.contentId, chapter.chapterId), CHAPTER_REVISION_FIELDS, chapter, updated, user, extra);
+    return { chapter: updated, revision };
+}
+
+function normalizeChapterChanges(input) {
+    const changes = {};
+    
+    if (input.title !== undefined) {
+        if (typeof input.title !== 'string' || !input.title.trim()) {
+            return { error: 'title must be a non-empty string' };
+        }
+        changes.title = input.title.trim();
+    }
+    if (input.pages !== undefined) {
+        if (!Array.isArray(input.pages) || input.pages.some(page => typeof page !== 'string')) {
+            return { error: 'pages must be an array of image URLs' };
+        }
+        changes.pages = input.pages;
+    }
+    if (input.content !== undefined) {
+        if (input.content !== null && typeof input.content !== 'string') {
+            return { error: 'content must be a string or null' };
+        }
+        changes.content = input.content;
+    }
+    
+    return { changes };
+}
+
+// Longest-common-subsequence diff of two lists: [{ op: 'same' | 'remove' | 'add', value }]
+function diffLists(before, after) {
+    if (before.length * after.length > REVISION_DIFF_LIMIT) {
+        return [
+            ...before.map(value => ({ op: 'remove', value })),
+            ...after.map(value => ({ op: 'add', value }))
+        ];
+    }
+    
+    const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            ops.push({ op: 'same', value: before[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            ops.push({ op: 'remove', value: before[i++] });
+        } else {
+            ops.push({ op: 'add', value: after[j++] });
+        }
+    }
+    while (i < before.length) ops.push({ op: 'remove', value: before[i++] });
+    while (j < after.length) ops.push({ op: 'add', value: after[j++] });
+    
+    return ops;
+}
+
+// Chapter HTML is often one long line, so split it at block boundaries as well as newlines
+function textBlocks(text) {
+    return String(text || '')
+        .split(/(?<=<\/(?:p|h[1-6]|li|blockquote|div|pre)>|<br\s*\/?>|\n)/i)
+        .filter(block => block.trim());
+}
+
+function diffRevisions(fields, from, to) {
+    const diff = {};
+    
+    changedFields(fields, from.data, to.data).forEach(field => {
+        const before = from.data[field];
+        const after = to.data[field];
+        
+        if (field === 'pages') {
+            diff[field] = { ops: diffLists(before || [], after || []) };
+        } else if (field === 'content' || field === 'description') {
+            diff[field] = { ops: diffLists(textBlocks(before), textBlocks(after)) };
+        } else {
+            diff[field] = { before: before === undefined ? null : before, after: after === undefined ? null : after };
+        }
+    });
+    
+    return diff;
+}
+
+// The title, or one of its chapters, whose history a revisions route is about
+async function findRevisionTarget(req) {
+    const { content } = await resolveContent(req.params.id);
+    if (!content) {
+        return { error: 'Content not found' };
+    }
+    
+    if (req.params.chapterId === undefined) {
+        return { content, key: revisionKey(content.id), fields: CONTENT_REVISION_FIELDS };
+    }
+    
+    const chapter = await db.collection('chapters').findOne({ contentId: content.id, chapterId: req.params.chapterId, ...NOT_TRASHED });
+    if (!chapter) {
+        return { error: 'Chapter not found' };
+    }
+    return { content, chapter, key: revisionKey(content.id, chapter.chapterId), fields: CHAPTER_REVISION_FIELDS };
+}
+
+async function findRevision(key, number) {
+    const revision = parseInt(number);
+    return Number.isInteger(revision) ? db.collection('revisions').findOne({ ...key, revision }) : null;
+}
+
+// Update a chapter's title, pages and/or text
+app.put('/api/manga/:id/chapters/:chapterId', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { changes, error } = normalizeChapterChanges(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const existing = await db.collection('chapters').findOne({ contentId: content.id, chapterId: req.params.chapterId, ...NOT_TRASHED });
+        if (!existing) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        const { chapter, revision } = await saveChapter(existing, changes, req.user);
+        const { _id, ...fields } = chapter;
+        auditChange(req, auditTarget('chapter', content.id, chapter.chapterId), existing, chapter);
+        
+        res.json({ success: true, chapter: fields, revision: revision ? revision.revision : null });
+    } catch (error) {
+        console.error('Error updating chapter:', error);
+        res.status(500).json({ error: 'Failed to update chapter' });
+    }
+});
+
+const REVISION_ROUTES = ['/api/manga/:id/revisions', '/api/manga/:id/chapters/:chapterId/revisions'];
+
+// List revisions, newest first (without their stored data)
+app.get(REVISION_ROUTES, requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const target = await findRevisionTarget(req);
+        if (target.error) {
+            return res.status(404).json({ error: target.error });
+        }
+        
+        const revisions = await db.collection('revisions')
+            .find(target.key, { projection: { _id: 0, data: 0 } })
+            .sort({ revision: -1 })
+            .toArray();
+        
+        res.json(revisions);
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+});
+
+// Compare two revisions (?from=&to=, defaulting to the latest and the one before it)
+app.get(REVISION_ROUTES.map(route => `${route}/diff`), requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const target = await findRevisionTarget(req);
+        if (target.error) {
+            return res.status(404).json({ error: target.error });
+        }
+        
+        const [latest] = await db.collection('revisions').find(target.key).sort({ revision: -1 }).limit(1).toArray();
+        if (!latest) {
+            return res.status(404).json({ error: 'No revisions yet' });
+        }
+        
+        const to = req.query.to ? await findRevision(target.key, req.query.to) : latest;
+        const from = req.query.from ? await findRevision(target.key, req.query.from) : to && await findRevision(target.key, to.revision - 1);
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        res.json({
+            from: from.revision,
+            to: to.revision,
+            changes: diffRevisions(target.fields, from, to)
+        });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+});
+
+app.get(REVISION_ROUTES.map(route => `${route}/:revision`), requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const target = await findRevisionTarget(req);
+        if (target.error) {
+            return res.status(404).json({ error: target.error });
+        }
+        
+        const revision = await findRevision(target.key, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        const { _id, ...fields } = revision;
+        res.json(fields);
+    } catch (error) {
+        console.error('Error fetching revision:', error);
+        res.status(500).json({ error: 'Failed to fetch revision' });
+    }
+});
+
+// Restore a revision; the restore is itself saved as a new revision
+app.post(REVISION_ROUTES.map(route => `${route}/:revision/rollback`), requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const target = await findRevisionTarget(req);
+        if (target.error) {
+            return res.status(404).json({ error: target.error });
+        }
+        
+        const revision = await findRevision(target.key, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        // Fields the old revision did not have are removed again
+        const changes = {};
+        target.fields.forEach(field => {
+            changes[field] = revision.data[field] === undefined ? null : revision.data[field];
+        });
+        const extra = { rolledBackTo: revision.revision };
+        
+        const saved = target.chapter
+            ? await saveChapter(target.chapter, changes, req.user, extra)
+            : await saveContent(target.content, changes, req.user, extra);
+        auditChange(
+            req,
+            target.chapter ? auditTarget('chapter', target.content.id, target.chapter.chapterId) : auditTarget('content', target.content.id),
+            target.chapter || target.content,
+            saved.chapter || saved.content
+        );
+        
+        res.json({
+            success: true,
+            restored: revision.revision,
+            revision: saved.revision ? saved.revision.revision : null
+        });
+    } catch (error) {
+        console.error('Error rolling back revision:', error);
+        res.status(500).json({ error: 'Failed to roll back revision' });
+    }
+});
+
+// Publish, unpublish or (re)schedule a chapter: { status: 'published' | 'draft' | 'scheduled', publishAt }
+app.put('/api/manga/:id/chapters/:chapterId/status', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { fields, error } = normalizePublication(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const chapter = await db.collection('chapters').findOne({ contentId: content.id, chapterId: req.params.chapterId, ...NOT_TRASHED });
+        if (!chapter) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        const wasPublished = !['draft', 'scheduled'].includes(chapter.status);
+        if (fields.status === 'published') {
+            await publishChapter(chapter);
+        } else if (wasPublished) {
+            await unpublishChapter(chapter, fields);
+        } else {
+            await db.collection('chapters').updateOne(
+                { _id: chapter._id },
+                fields.status === 'scheduled'
+                    ? { $set: { status: 'scheduled', publishAt: fields.publishAt, updated_at: new Date().toISOString() } }
+                    : { $set: { status: 'draft', updated_at: new Date().toISOString() }, $unset: { publishAt: '' } }
+            );
+        }
+        
+        const updated = await db.collection('chapters').findOne({ _id: chapter._id });
+        auditChange(req, auditTarget('chapter', content.id, chapter.chapterId), publicationFields(chapter), publicationFields(updated));
+        res.json({ success: true, chapterId: updated.chapterId, ...publicationFields(updated) });
+    } catch (error) {
+        console.error('Error updating chapter status:', error);
+        res.status(500).json({ error: 'Failed to update chapter status' });
+    }
+});
+
+// Delete chapter (moves it to the trash)
+app.delete('/api/manga/:id/chapters/:chapterId', requireRole('editor'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const deleted = await db.collection('chapters').findOneAndUpdate(
+            { contentId: content.id, chapterId: req.params.chapterId, ...NOT_TRASHED },
+            { $set: trashFields(req.user) }
+        );
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        auditChange(req, auditTarget('chapter', content.id, deleted.chapterId), { title: deleted.title }, { title: deleted.title, trashed: true });
+        
+        // Drafts and scheduled chapters were never counted
+        if (!['draft', 'scheduled'].includes(deleted.status)) {
+            await db.collection('content').updateOne(
+                { id: content.id },
+                { $inc: { chapters_count: -1 } }
+            );
+        }
+        
+        res.json({ success: true, message: 'Chapter moved to trash' });
+    } catch (error) {
+        console.error('Error deleting chapter:', error);
+        res.status(500).json({ error: 'Failed to delete chapter' });
+    }
+});
+
+// Delete manga/novel (moves it and its chapters to the trash)
+app.delete('/api/manga/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const contentId = parseInt(req.params.id);
+        const trashed = trashFields(req.user);
+        const deleted = await db.collection('content').findOneAndUpdate(
+            { id: contentId, ...NOT_TRASHED },
+            { $set: trashed }
+        );
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        auditChange(req, auditTarget('content', contentId), { title: deleted.title }, { title: deleted.title, trashed: true });
+        
+        // Chapters go with it; ones already in the trash keep their own deletion time
+        await db.collection('chapters').updateMany(
+            { contentId, ...NOT_TRASHED },
+            { $set: { ...trashed, deletedWithContent: true } }
+        );
+        
+        res.json({ success: true, message: 'Content and its chapters moved to trash' });
+    } catch (error) {
+        console.error('Error deleting content:', error);
+        res.status(500).json({ error: 'Failed to delete content' });
+    }
+});
+
+// Trash
+//
+// Deleting a title, chapter or user only stamps deleted_at: public routes skip those documents and
+// the purge job removes them for good once TRASH_RETENTION has passed. Until then a trashed title or
+// chapter still counts as a reference for the upload GC, so restoring it brings its images back too.
+
+const TRASH_COLLECTIONS = ['content', 'chapters', 'users'];
+const TRASH_CHAPTER_FIELDS = { contentId: 1, chapterId: 1, title: 1, number: 1, volume: 1, status: 1, deleted_at: 1, deletedBy: 1, deletedWithContent: 1 };
+
+function trashFields(user) {
+    return {
+        deleted_at: new Date().toISOString(),
+        deletedBy: user ? { id: user.id, email: user.email } : null
+    };
+}
+
+function trashPurgeAt(item) {
+    return new Date(new Date(item.deleted_at).getTime() + TRASH_RETENTION).toISOString();
+}
+
+// chapters_count only counts chapters that are published and not in the trash
+async function refreshChaptersCount(contentId) {
+    const count = await db.collection('chapters').countDocuments({ contentId, ...PUBLISHED_CHAPTERS, ...NOT_TRASHED });
+    await db.collection('content').updateOne({ id: contentId }, { $set: { chapters_count: count } });
+    return count;
+}
+
+// Bring a trashed document back; a title brings back the chapters that were deleted along with it
+async function restoreFromTrash(type, item) {
+    const restore = { $unset: { deleted_at: '', deletedBy: '', deletedWithContent: '' } };
+    await db.collection(type).updateOne({ _id: item._id }, restore);
+    
+    if (type === 'content') {
+        const chapters = await db.collection('chapters').updateMany({ contentId: item.id, deletedWithContent: true }, restore);
+        const chaptersCount = await refreshChaptersCount(item.id);
+        return { chaptersRestored: chapters.modifiedCount, chapters_count: chaptersCount };
+    }
+    if (type === 'chapters') {
+        return { chapters_count: await refreshChaptersCount(item.contentId) };
+    }
+    return {};
+}
+
+// Delete a trashed document and everything that only exists because of it
+async function purgeTrashItem(type, item) {
+    if (type === 'content') {
+        await db.collection('chapters').deleteMany({ contentId: item.id });
+        await db.collection('revisions').deleteMany({ contentId: item.id });
+        await db.collection('chapter_locks').deleteMany({ contentId: item.id });
+        await db.collection('reading_progress').deleteMany({ contentId: item.id });
+        await db.collection('library').updateMany({ items: item.id }, { $pull: { items: item.id } });
+        await db.collection('ratings').deleteMany({ contentId: item.id });
+        await db.collection('chapter_likes').deleteMany({ contentId: item.id });
+        await removeCommentsWhere({ contentId: item.id });
+    } else if (type === 'chapters') {
+        await db.collection('revisions').deleteMany(revisionKey(item.contentId, item.chapterId));
+        await db.collection('chapter_locks').deleteMany({ contentId: item.contentId, chapterId: item.chapterId });
+        await db.collection('chapter_likes').deleteMany({ contentId: item.contentId, chapterId: item.chapterId });
+        await removeCommentsWhere({ contentId: item.contentId, chapterId: item.chapterId });
+    } else {
+        await db.collection('sessions').deleteMany({ userId: item.id });
+        await db.collection('chapter_locks').deleteMany({ userId: item.id });
+        await db.collection('reading_progress').deleteMany({ userId: item.id });
+        await db.collection('library').deleteMany({ userId: item.id });
+        await removeUserVotes(item.id);
+        await removeUserComments(item.id);
+    }
+    
+    // The document goes last so an interrupted purge is picked up again on the next run
+    await db.collection(type).deleteOne({ _id: item._id });
+}
+
+async function purgeTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION).toISOString();
+    const purged = {};
+    
+    // Titles first: their chapters go with them
+    for (const type of TRASH_COLLECTIONS) {
+        const expired = await db.collection(type).find({ deleted_at: { $lte: cutoff } }).toArray();
+        for (const item of expired) {
+            await purgeTrashItem(type, item);
+        }
+        purged[type] = expired.length;
+    }
+    
+    const total = TRASH_COLLECTIONS.reduce((sum, type) => sum + purged[type], 0);
+    if (total > 0) {
+        console.log(`Purged ${total} items from the trash`);
+    }
+    return purged;
+}
+
+// The trashed document a trash route is about
+async function findTrashItem(req) {
+    if (!TRASH_COLLECTIONS.includes(req.params.type)) {
+        return { status: 400, error: `type must be one of: ${TRASH_COLLECTIONS.join(', ')}` };
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return { status: 400, error: 'Invalid id' };
+    }
+    
+    const item = await db.collection(req.params.type).findOne({
+        _id: new ObjectId(req.params.id),
+        deleted_at: { $exists: true }
+    });
+    if (!item) {
+        return { status: 404, error: 'Item not found in trash' };
+    }
+    return { type: req.params.type, item };
+}
+
+// Audit trash actions against the title, chapter or user itself
+function trashAuditTarget(type, item) {
+    if (type === 'content') {
+        return auditTarget('content', item.id);
+    }
+    return type === 'chapters' ? auditTarget('chapter', item.contentId, item.chapterId) : auditTarget('user', item.id);
+}
+
+function formatTrashItem(item) {
+    return { ...item, _id: item._id.toString(), purgeAt: trashPurgeAt(item) };
+}
+
+// List the trash, newest first
+app.get('/api/admin/trash', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const trashed = { deleted_at: { $exists: true } };
+        const newestFirst = { deleted_at: -1 };
+        
+        const content = await db.collection('content')
+            .find(trashed)
+            .project({ id: 1, slug: 1, title: 1, type: 1, cover: 1, deleted_at: 1, deletedBy: 1 })
+            .sort(newestFirst)
+            .toArray();
+        
+        // Chapters are listed with their title's name (which may itself be in the trash)
+        const chapters = await db.collection('chapters').find(trashed).project(TRASH_CHAPTER_FIELDS).sort(newestFirst).toArray();
+        const parents = await db.collection('content')
+            .find({ id: { $in: [...new Set(chapters.map(chapter => chapter.contentId))] } })
+            .project({ id: 1, title: 1, deleted_at: 1 })
+            .toArray();
+        const parentById = new Map(parents.map(parent => [parent.id, parent]));
+        
+        const users = await db.collection('users').find(trashed).sort(newestFirst).toArray();
+        
+        res.json({
+            retention: TRASH_RETENTION,
+            content: content.map(formatTrashItem),
+            chapters: chapters.map(chapter => {
+                const parent = parentById.get(chapter.contentId);
+                return {
+                    ...formatTrashItem(chapter),
+                    contentTitle: parent ? parent.title : null,
+                    contentTrashed: !!(parent && parent.deleted_at)
+                };
+            }),
+            users: users.map(user => formatTrashItem({ ...publicUser(user), _id: user._id }))
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+// Restore a trashed title, chapter or user
+app.post('/api/admin/trash/:type/:id/restore', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { status, error, type, item } = await findTrashItem(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        // A chapter can't come back into a title that is still in the trash
+        if (type === 'chapters') {
+            const parent = await db.collection('content').findOne({ id: item.contentId }, { projection: { deleted_at: 1 } });
+            if (parent && parent.deleted_at) {
+                return res.status(409).json({ error: 'Restore the title this chapter belongs to first' });
+            }
+        }
+        
+        const result = await restoreFromTrash(type, item);
+        auditChange(req, trashAuditTarget(type, item), { trashed: true }, { trashed: false, ...result });
+        res.json({ success: true, type, message: 'Restored from trash', ...result });
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        res.status(500).json({ error: 'Failed to restore from trash' });
+    }
+});
+
+// Delete a trashed item for good without waiting for the retention period
+app.delete('/api/admin/trash/:type/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { status, error, type, item } = await findTrashItem(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        
+        await purgeTrashItem(type, item);
+        auditChange(req, trashAuditTarget(type, item), { trashed: true }, { purged: true });
+        res.json({ success: true, type, message: 'Permanently deleted' });
+    } catch (error) {
+        console.error('Error purging from trash:', error);
+        res.status(500).json({ error: 'Failed to delete permanently' });
+    }
+});
+
+// Seed / import of the bundled data/*.json catalogue
+
+function readDataFile(filename) {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, filename), 'utf8'));
+}
+
+function newSeedReport() {
+    return { inserted: [], updated: [], skipped: [] };
+}
+
+// True when any of the given fields differ between the stored and the seed document
+function seedFieldsDiffer(existing, incoming, fields) {
+    return fields.some(field => JSON.stringify(existing[field]) !== JSON.stringify(incoming[field]));
+}
+
+// Load data/*.json into content, chapters, ads_config and users.
+// Existing records are skipped unless `update` is set, so running it twice is safe.
+async function seedDatabase({ update = false } = {}) {
+    const now = new Date().toISOString();
+    const report = {
+        content: newSeedReport(),
+        chapters: newSeedReport(),
+        ads_config: newSeedReport(),
+        users: newSeedReport()
+    };
+    
+    // Content (manga.json + novels.json); the embedded chapter lists are not stored
+    const CONTENT_FIELDS = ['title', 'type', 'cover', 'rating', 'genres', 'chapters_count', 'description', 'author', 'status'];
+    const catalogue = [...readDataFile('manga.json'), ...readDataFile('novels.json')];
+    
+    for (const item of catalogue) {
+        const incoming = Object.fromEntries(CONTENT_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]]));
+        const existing = await db.collection('content').findOne({ id: item.id });
+        const label = `${item.id} ${item.title}`;
+        
+        if (!existing) {
+            await db.collection('content').insertOne({
+                id: item.id,
+                slug: await generateUniqueSlug(item.title, item.id),
+                previousSlugs: [],
+                ...incoming,
+                created_at: now,
+                updated_at: now
+            });
+            report.content.inserted.push(label);
+        } else if (update && seedFieldsDiffer(existing.ratingMode === 'computed' ? { ...existing, rating: existing.manualRating } : existing, incoming, Object.keys(incoming))) {
+            // A seeded rating is the typed one, so a title showing its computed rating keeps showing it
+            await db.collection('content').updateOne(
+                { id: item.id },
+                { $set: { ...ratingChanges(existing, incoming), ...(await slugChangesFor(existing, incoming.title)), updated_at: now } }
+            );
+            report.content.updated.push(label);
+        } else {
+            report.content.skipped.push({ item: label, reason: update ? 'unchanged' : 'exists' });
+        }
+    }
+    
+    // Chapters (chapters.json is keyed by title slug or id, then chapter id)
+    const chapters = readDataFile('chapters.json');
+    for (const [titleKey, titleChapters] of Object.entries(chapters)) {
+        const { content } = await resolveContent(titleKey);
+        
+        for (const [chapterId, chapter] of Object.entries(titleChapters)) {
+            const label = `${titleKey}/${chapterId}`;
+            if (!content) {
+                report.chapters.skipped.push({ item: label, reason: 'no matching title' });
+                continue;
+            }
+            
+            const incoming = {
+                title: chapter.title || `Chapter ${chapterId}`,
+                pages: chapter.pages || [],
+                content: chapter.content || null
+            };
+            const existing = await db.collection('chapters').findOne({ contentId: content.id, chapterId });
+            
+            if (!existing) {
+                await db.collection('chapters').insertOne({
+                    contentId: content.id,
+                    chapterId,
+                    ...incoming,
+                    ...(await chapterOrderFor(content.id, chapterId, normalizeChapterOrder(chapter).fields || {})),
+                    created_at: now,
+                    updated_at: now
+                });
+                report.chapters.inserted.push(`${content.slug}/${chapterId}`);
+            } else if (update && seedFieldsDiffer(existing, incoming, Object.keys(incoming))) {
+                await db.collection('chapters').updateOne(
+                    { contentId: content.id, chapterId },
+                    { $set: { ...incoming, updated_at: now } }
+                );
+                report.chapters.updated.push(`${content.slug}/${chapterId}`);
+            } else {
+                report.chapters.skipped.push({ item: `${content.slug}/${chapterId}`, reason: update ? 'unchanged' : 'exists' });
+            }
+        }
+    }
+    
+    // Ads config (single document with id 1)
+    const adsConfig = readDataFile('ads-config.json');
+    const existingAdsConfig = await db.collection('ads_config').findOne({ id: 1 });
+    if (!existingAdsConfig) {
+        await db.collection('ads_config').insertOne({ id: 1, config: adsConfig, updated_at: now });
+        report.ads_config.inserted.push('1');
+    } else if (update && seedFieldsDiffer(existingAdsConfig, { config: adsConfig }, ['config'])) {
+        await db.collection('ads_config').updateOne({ id: 1 }, { $set: { config: adsConfig, updated_at: now } });
+        report.ads_config.updated.push('1');
+    } else {
+        report.ads_config.skipped.push({ item: '1', reason: update ? 'unchanged' : 'exists' });
+    }
+    
+    // Users are only ever inserted; accounts that exist (by id or email) are left alone
+    for (const user of readDataFile('users.json')) {
+        const label = `${user.id} ${user.name}`;
+        const existing = await db.collection('users').findOne({
+            $or: [{ id: user.id }, ...(user.email ? [{ email: user.email.toLowerCase() }] : [])]
+        });
+        
+        if (existing) {
+            report.users.skipped.push({ item: label, reason: 'exists' });
+            continue;
+        }
+        
+        await db.collection('users').insertOne({
+            ...user,
+            ...(user.email && { email: user.email.toLowerCase() })
+        });
+        report.users.inserted.push(label);
+    }
+    
+    return report;
+}
+
+// Import bundled data files (admin only)
+app.post('/api/admin/seed', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const report = await seedDatabase({ update: !!req.body.update });
+        const counts = Object.entries(report).map(([collection, { inserted, updated }]) => [collection, { inserted: inserted.length, updated: updated.length }]);
+        auditChange(req, auditTarget('seed'), null, Object.fromEntries(counts));
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error seeding database:', error);
+        res.status(500).json({ error: 'Failed to import data' });
+    }
+});
+
+// Get ads config
+app.get('/api/ads-config', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const adsConfig = await db.collection('ads_config').findOne({ id: 1 });
+        if (!adsConfig) {
+            // Return default config if none exists
+            return res.json({
+                enabled: true,
+                adUnits: {
+                    BANNER: 'ca-app-pub-3940256099942544/6300978111',
+                    INTERSTITIAL: 'ca-app-pub-3940256099942544/1033173712',
+                    REWARDED: 'ca-app-pub-3940256099942544/5224354917'
+                },
+                adFrequency: {
+                    TAB_SWITCH: 0.3,
+                    SCROLL_THRESHOLD: 1500,
+                    INTERSTITIAL_COOLDOWN: 120000
+                },
+                rewardAdTimeout: 30000,
+                chapterLockDuration: CHAPTER_UNLOCK_DURATION,
+                lockPolicy: DEFAULT_LOCK_POLICY,
+                debugMode: false
+            });
+        }
+        res.json({ ...adsConfig.config, lockPolicy: await getLockPolicy(null) });
+    } catch (error) {
+        console.error('Error fetching ads config:', error);
+        res.status(500).json({ error: 'Failed to fetch ads config' });
+    }
+});
+
+// Update ads config
+app.post('/api/ads-config', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const config = req.body;
+        
+        const { policy, error } = normalizeLockPolicy(config.lockPolicy);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (policy !== undefined) {
+            config.lockPolicy = policy;
+        }
+        
+        const previous = await db.collection('ads_config').findOneAndUpdate(
+            { id: 1 },
+            { $set: { config: config, updated_at: new Date().toISOString() } },
+            { upsert: true }
+        );
+        auditChange(req, auditTarget('ads_config', 1), previous ? previous.config : null, config);
+        
+        res.json({ success: true, message: 'Ads config updated successfully' });
+    } catch (error) {
+        console.error('Error updating ads config:', error);
+        res.status(500).json({ error: 'Failed to update ads config' });
+    }
+});
+
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { email, password } = req.body;
+        
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        
+        const user = await db.collection('users').findOne({ email: email.toLowerCase(), ...NOT_TRASHED });
+        if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        const session = await createSession(user);
+        
+        res.json({
+            success: true,
+            ...session,
+            user: publicUser(user)
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Log out (invalidate current session)
+app.post('/api/auth/logout', requireRole('guest'), async (req, res) => {
+    try {
+        await db.collection('sessions').deleteOne({ tokenHash: req.sessionTokenHash });
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Get the currently logged-in user
+app.get('/api/auth/me', requireRole('guest'), (req, res) => {
+    res.json({ user: publicUser(req.user) });
+});
+
+// Create guest user
+app.post('/api/guest-user', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        // Generate unique guest ID
+        const guestId = 'guest_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        
+        const guestUser = {
+            id: guestId,
+            type: 'guest',
+            created_at: new Date().toISOString(),
+            last_seen: new Date().toISOString()
+        };
+        
+        // The id shows up in URLs; only this secret, kept by the device, lets an account claim the guest
+        const guestToken = crypto.randomBytes(32).toString('hex');
+        await db.collection('users').insertOne({ ...guestUser, guestTokenHash: hashToken(guestToken) });
+        res.json({ user: guestUser, guestToken });
+    } catch (error) {
+        console.error('Error creating guest user:', error);
+        res.status(500).json({ error: 'Failed to create guest user' });
+    }
+});
+
+// Reader accounts (upgrade a guest id to an email + password account)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NAME_MAX_LENGTH = 60;
+
+// Display names are optional; a given one must be a short string
+function normalizeUserName(name, email) {
+    if (name === undefined || name === null || name === '') {
+        return { name: email.split('@')[0].slice(0, NAME_MAX_LENGTH) };
+    }
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX_LENGTH) {
+        return { error: `name must be a string of 1 to ${NAME_MAX_LENGTH} characters` };
+    }
+    return { name: name.trim() };
+}
+
+// Move everything a guest id owns onto another user id
+async function mergeGuestInto(guestId, targetId) {
+    const now = new Date();
+    
+    // Active chapter unlocks: keep the later expiry
+    const locks = await db.collection('chapter_locks').find({
+        userId: guestId,
+        expiresAt: { $gt: now }
+    }).toArray();
+    for (const lock of locks) {
+        await db.collection('chapter_locks').updateOne(
+            { userId: targetId, contentId: lock.contentId, chapterId: lock.chapterId },
+            {
+                $max: { expiresAt: lock.expiresAt },
+                $setOnInsert: { unlockedAt: lock.unlockedAt }
+            },
+            { upsert: true }
+        );
+    }
+    await db.collection('chapter_locks').deleteMany({ userId: guestId });
+    
+    // Reading progress: keep the newer position, union the chapters read
+    const progress = await db.collection('reading_progress').find({ userId: guestId }).toArray();
+    for (const entry of progress) {
+        const existing = await db.collection('reading_progress').findOne({ userId: targetId, contentId: entry.contentId });
+        const update = {
+            $addToSet: { readChapters: { $each: entry.readChapters || [] } },
+            $setOnInsert: { created_at: entry.created_at }
+        };
+        if (!existing || entry.updated_at > existing.updated_at) {
+            update.$set = {
+                chapterId: entry.chapterId,
+                page: entry.page,
+                scroll: entry.scroll,
+                updated_at: entry.updated_at
+            };
+        }
+        
+        await db.collection('reading_progress').updateOne(
+            { userId: targetId, contentId: entry.contentId },
+            update,
+            { upsert: true }
+        );
+    }
+    await db.collection('reading_progress').deleteMany({ userId: guestId });
+    
+    // Library: built-in shelves are combined, custom shelves move over as they are
+    const shelves = await db.collection('library').find({ userId: guestId }).toArray();
+    for (const shelf of shelves) {
+        if (shelf.system) {
+            for (const contentId of shelf.items) {
+                await addToShelf(targetId, shelf.shelfId, contentId);
+            }
+        } else {
+            await db.collection('library').updateOne(
+                { _id: shelf._id },
+                { $set: { userId: targetId } }
+            );
+        }
+    }
+    await db.collection('library').deleteMany({ userId: guestId, system: true });
+    
+    // Ratings and chapter likes
+    await moveVotes(guestId, targetId);
+    
+    // Comments and reports; a comment ban follows the reader to their account
+    const guest = await db.collection('users').findOne({ id: guestId });
+    const account = await db.collection('users').findOne({ id: targetId });
+    await moveComments(guestId, account);
+    if (guest && guest.banned_at && !account.banned_at) {
+        await db.collection('users').updateOne(
+            { id: targetId },
+            { $set: { banned_at: guest.banned_at, bannedBy: guest.bannedBy, banReason: guest.banReason } }
+        );
+    }
+    
+    // Chapters read counter: never lower than either side or the merged history
+    const merged = await db.collection('reading_progress').find({ userId: targetId }).toArray();
+    const distinctRead = merged.reduce((sum, entry) => sum + (entry.readChapters || []).length, 0);
+    await db.collection('users').updateOne(
+        { id: targetId },
+        { $max: { chapters_read: Math.max(distinctRead, (guest && guest.chapters_read) || 0) } }
+    );
+    
+    // Keep a tombstone so the old device id can be traced to the account
+    await db.collection('users').updateOne(
+        { id: guestId },
+        { $set: { type: 'merged', merged_into: targetId, merged_at: now.toISOString() } }
+    );
+}
+
+// Everything a reader app needs after logging in
+async function getAccountData(user) {
+    const locks = await db.collection('chapter_locks').find({
+        userId: user.id,
+        expiresAt: { $gt: new Date() }
+    }).project({ _id: 0 }).toArray();
+    
+    return {
+        user: publicUser(user),
+        progress: {
+            chaptersRead: user.chapters_read || 0,
+            likesGiven: await countLikesGiven(user.id),
+            items: await getContinueReading(user.id)
+        },
+        library: { shelves: await getShelves(user.id) },
+        unlocks: locks
+    };
+}
+
+// The guest behind guestId, if guestToken proves the caller is the device that created it.
+// Guests from before guest tokens have none, so they can no longer be claimed.
+async function findOwnedGuest(guestId, guestToken) {
+    if (typeof guestId !== 'string' || typeof guestToken !== 'string' || !guestId || !guestToken) {
+        return null;
+    }
+    
+    const guest = await db.collection('users').findOne({ id: guestId, type: 'guest', ...NOT_TRASHED });
+    return guest && guest.guestTokenHash === hashToken(guestToken) ? guest : null;
+}
+
+// Merge a guest id into an account if the caller owns it and it has not been merged yet
+async function claimGuest(guestId, guestToken, user) {
+    if (!guestId || guestId === user.id) {
+        return false;
+    }
+    
+    const guest = await findOwnedGuest(guestId, guestToken);
+    if (!guest) {
+        return false;
+    }
+    
+    await mergeGuestInto(guestId, user.id);
+    return true;
+}
+
+// Register an account, optionally claiming the caller's guest id
+app.post('/api/account/register', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { email, password, guestId, guestToken } = req.body;
+        
+        if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        
+        if (typeof password !== 'string' || password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+        
+        const { name, error } = normalizeUserName(req.body.name, email);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const normalizedEmail = email.toLowerCase();
+        const existingUser = await db.collection('users').findOne({ email: normalizedEmail });
+        if (existingUser) {
+            return res.status(400).json({ error: 'Email already registered' });
+        }
+        
+        const accountData = {
+            name,
+            email: normalizedEmail,
+            password: await bcrypt.hash(password, 10),
+            role: 'reader',
+            type: 'registered',
+            registered_at: new Date().toISOString(),
+            last_seen: new Date().toISOString()
+        };
+        
+        // Claiming the guest id in place keeps its unlocks, progress and library
+        const guest = await findOwnedGuest(guestId, guestToken);
+        
+        let user;
+        if (guest) {
+            user = await db.collection('users').findOneAndUpdate(
+                { id: guest.id, type: 'guest' },
+                { $set: accountData, $unset: { guestTokenHash: '' } },
+                { returnDocument: 'after' }
+            );
+        } else {
+            user = {
+                id: 'user_' + crypto.randomUUID(),
+                ...accountData,
+                created_at: new Date().toISOString()
+            };
+            await db.collection('users').insertOne(user);
+        }
+        
+        const session = await createSession(user);
+        
+        res.json({
+            success: true,
+            claimedGuest: !!guest,
+            ...session,
+            ...(await getAccountData(user))
+        });
+    } catch (error) {
+        console.error('Error registering account:', error);
+        res.status(500).json({ error: 'Failed to register account' });
+    }
+});
+
+// Log in to an account; a guest id from this device is merged into it
+app.post('/api/account/login', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { email, password, guestId, guestToken } = req.body;
+        
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        
+        let user = await db.collection('users').findOne({ email: email.toLowerCase(), ...NOT_TRASHED });
+        if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        
+        const mergedGuest = await claimGuest(guestId, guestToken, user);
+        if (mergedGuest) {
+            user = await db.collection('users').findOne({ id: user.id });
+        }
+        
+        const session = await createSession(user);
+        
+        res.json({
+            success: true,
+            mergedGuest,
+            ...session,
+            ...(await getAccountData(user))
+        });
+    } catch (error) {
+        console.error('Error logging in to account:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Get account data for the logged-in reader
+app.get('/api/account', requireRole('reader'), async (req, res) => {
+    try {
+        res.json(await getAccountData(req.user));
+    } catch (error) {
+        console.error('Error fetching account:', error);
+        res.status(500).json({ error: 'Failed to fetch account' });
+    }
+});
+
+// Merge another guest id (e.g. from a second device) into the logged-in account
+app.post('/api/account/merge', requireRole('reader'), async (req, res) => {
+    try {
+        const { guestId, guestToken } = req.body;
+        
+        if (!guestId || !guestToken) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        
+        if (!(await claimGuest(guestId, guestToken, req.user))) {
+            return res.status(404).json({ error: 'Guest not found or already merged' });
+        }
+        
+        const user = await db.collection('users').findOne({ id: req.user.id });
+        res.json({ success: true, ...(await getAccountData(user)) });
+    } catch (error) {
+        console.error('Error merging guest:', error);
+        res.status(500).json({ error: 'Failed to merge guest' });
+    }
+});
+
+// Get all users (admin only)
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const users = await db.collection('users').find(NOT_TRASHED).toArray();
+        res.json(users.map(publicUser));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Create staff or reader account (admin only)
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { email, password, role } = req.body;
+        
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+        
+        const { name, error } = normalizeUserName(req.body.name, email);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        if (role && !ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        
+        const existingUser = await db.collection('users').findOne({ email: email.toLowerCase() });
+        if (existingUser) {
+            const error = existingUser.deleted_at ? 'Email belongs to a user in the trash; restore them instead' : 'Email already registered';
+            return res.status(400).json({ error });
+        }
+        
+        const newUser = {
+            id: 'user_' + crypto.randomUUID(),
+            name,
+            email: email.toLowerCase(),
+            password: await bcrypt.hash(password, 10),
+            role: role || 'reader',
+            created_at: new Date().toISOString(),
+            last_login: null
+        };
+        
+        await db.collection('users').insertOne(newUser);
+        auditChange(req, auditTarget('user', newUser.id), null, publicUser(newUser));
+        res.json({ success: true, user: publicUser(newUser) });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// Delete user (moves them to the trash)
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const deleted = await db.collection('users').findOneAndUpdate(
+            { id: req.params.id, ...NOT_TRASHED },
+            { $set: trashFields(req.user) }
+        );
+        
+        if (!deleted) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        auditChange(req, auditTarget('user', deleted.id), { email: deleted.email, role: deleted.role }, { email: deleted.email, role: deleted.role, trashed: true });
+        
+        // Sign the deleted user out everywhere
+        await db.collection('sessions').deleteMany({ userId: req.params.id });
+        
+        res.json({ success: true, message: 'User moved to trash' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+});
+
+// Ban a user from commenting and reporting ({ reason, hideComments }); hideComments hides what they wrote
+app.post('/api/users/:id/ban', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot ban yourself' });
+        }
+        
+        const ban = {
+            banned_at: new Date().toISOString(),
+            bannedBy: { id: req.user.id, email: req.user.email },
+            banReason: typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : ''
+        };
+        const user = await db.collection('users').findOneAndUpdate(
+            { id: req.params.id, ...NOT_TRASHED },
+            { $set: ban }
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        let hiddenComments = 0;
+        if (req.body.hideComments) {
+            const result = await db.collection('comments').updateMany(
+                { userId: user.id, status: 'visible' },
+                { $set: { status: 'hidden', hiddenBy: ban.bannedBy, updated_at: ban.banned_at } }
+            );
+            hiddenComments = result.modifiedCount;
+        }
+        
+        auditChange(req, auditTarget('user', user.id), { banned_at: user.banned_at }, { ...ban, hiddenComments });
+        res.json({ success: true, user: publicUser({ ...user, ...ban }), hiddenComments });
+    } catch (error) {
+        console.error('Error banning user:', error);
+        res.status(500).json({ error: 'Failed to ban user' });
+    }
+});
+
+// Lift a ban (hidden comments stay hidden until unhidden one by one)
+app.delete('/api/users/:id/ban', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const user = await db.collection('users').findOneAndUpdate(
+            { id: req.params.id, ...NOT_TRASHED },
+            { $unset: { banned_at: '', bannedBy: '', banReason: '' } }
+        );
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        auditChange(req, auditTarget('user', user.id), { banned_at: user.banned_at }, { banned_at: null });
+        const { banned_at, bannedBy, banReason, ...unbanned } = user;
+        res.json({ success: true, user: publicUser(unbanned) });
+    } catch (error) {
+        console.error('Error unbanning user:', error);
+        res.status(500).json({ error: 'Failed to unban user' });
+    }
+});
+
+// Chapter lock management endpoints
+
+// Chapter lock policies
+//
+// Site-wide defaults live in ads_config (lockPolicy, with chapterLockDuration as the unlock duration),
+// a title's lockPolicy overrides them, and a chapter's `access` ('free', 'locked' or 'early-access')
+// overrides both.
+
+const DEFAULT_LOCK_POLICY = {
+    freeChapters: 0,            // the first N chapters of a title are free
+    earlyAccessChapters: 0,     // the latest N chapters cannot be unlocked with ads
+    unlockDuration: CHAPTER_UNLOCK_DURATION,
+    unlockRange: 1,             // chapters opened by one ad, starting with the requested one
+    dailyUnlockCap: 0           // ad unlocks per user per UTC day; 0 means no cap
+};
+const TITLE_LOCK_POLICY_FIELDS = ['freeChapters', 'earlyAccessChapters', 'unlockDuration', 'unlockRange'];
+const CHAPTER_ACCESS_MODES = ['free', 'locked', 'early-access'];
+
+// Validate a lockPolicy from a request; blank fields are dropped so they inherit the default
+function normalizeLockPolicy(input, fields = Object.keys(DEFAULT_LOCK_POLICY)) {
+    if (input === undefined || input === null) {
+        return { policy: input };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'lockPolicy must be an object' };
+    }
+    
+    const policy = {};
+    for (const field of fields) {
+        if (input[field] === undefined || input[field] === null || input[field] === '') {
+            continue;
+        }
+        
+        const value = Number(input[field]);
+        const min = ['unlockDuration', 'unlockRange'].includes(field) ? 1 : 0;
+        if (!Number.isInteger(value) || value < min) {
+            return { error: `lockPolicy.${field} must be a whole number of at least ${min}` };
+        }
+        policy[field] = value;
+    }
+    
+    return { policy };
+}
+
+async function getLockPolicy(content) {
+    const adsConfig = await db.collection('ads_config').findOne({ id: 1 });
+    const config = (adsConfig && adsConfig.config) || {};
+    
+    return {
+        ...DEFAULT_LOCK_POLICY,
+        ...(config.chapterLockDuration && { unlockDuration: config.chapterLockDuration }),
+        ...config.lockPolicy,
+        ...(content && content.lockPolicy)
+    };
+}
+
+// The reader named by ?user=; anything but a plain string (?user[$ne]=x) is refused so it can't reach a query
+function queryUser(req) {
+    const { user } = req.query;
+    if (user !== undefined && typeof user !== 'string') {
+        return { error: 'user must be a single value' };
+    }
+    return { userId: user || null };
+}
+
+// Access to every chapter of a title for one user, in reading order:
+// chapterId -> { state: 'free' | 'unlocked' | 'locked' | 'early-access', expiresAt? }
+async function getChapterAccessMap(userId, content, policy = null) {
+    policy = policy || await getLockPolicy(content);
+    
+    const chapters = await listChapters(content.id, { chapterId: 1, access: 1, sortKey: 1 });
+    
+    const locks = await db.collection('chapter_locks').find({
+        userId: String(userId),
+        contentId: content.id,
+        expiresAt: { $gt: new Date() }
+    }).toArray();
+    const unlockedUntil = new Map(locks.map(lock => [lock.chapterId, lock.expiresAt]));
+    
+    const access = new Map();
+    chapters.forEach((chapter, index) => {
+        let state = chapter.access;
+        if (!CHAPTER_ACCESS_MODES.includes(state)) {
+            if (index < policy.freeChapters) {
+                state = 'free';
+            } else if (index >= chapters.length - policy.earlyAccessChapters) {
+                state = 'early-access';
+            } else {
+                state = 'locked';
+            }
+        }
+        
+        // Early-access chapters only ever carry a lock record when staff granted one
+        if (state !== 'free' && unlockedUntil.has(chapter.chapterId)) {
+            access.set(chapter.chapterId, { state: 'unlocked', expiresAt: unlockedUntil.get(chapter.chapterId) });
+        } else {
+            access.set(chapter.chapterId, { state });
+        }
+    });
+    
+    return access;
+}
+
+function isReadable(access) {
+    return !!access && (access.state === 'free' || access.state === 'unlocked');
+}
+
+async function getChapterAccess(userId, content, chapterId) {
+    const access = await getChapterAccessMap(userId, content);
+    return access.get(chapterId) || null;
+}
+
+// Completed ad unlocks for a user since the start of the UTC day
+async function countUnlocksToday(userId) {
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    
+    return db.collection('unlock_intents').countDocuments({
+        userId,
+        status: { $in: ['verified', 'completed'] },
+        completedAt: { $gte: startOfDay }
+    });
+}
+
+// Check if chapter is unlocked
+app.get('/api/check-unlock/:userId/:contentId/:chapterId', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId, chapterId } = req.params;
+        
+        const { content } = await resolveContent(req.params.contentId);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const access = await getChapterAccess(userId, content, chapterId);
+        if (!access) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        res.json({ unlocked: isReadable(access), ...access });
+    } catch (error) {
+        console.error('Error checking chapter lock:', error);
+        res.status(500).json({ error: 'Failed to check chapter lock' });
+    }
+});
+
+// Unlock chapter
+// Readers unlock through verified rewarded ads (unlock intents); this manual grant is for staff
+app.post('/api/unlock-chapter', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId, contentId, chapterId } = req.body;
+        
+        if (!userId || !contentId || !chapterId) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        
+        const { content } = await resolveContent(contentId);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        // Staff grants open exactly the requested chapter, early access included
+        const { expiresAt, chapterIds } = await grantChapterUnlock(userId, content, chapterId, { grantedBy: req.user.id }, { range: 1 });
+        if (chapterIds.length === 0) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        auditChange(req, auditTarget('chapter', content.id, chapterId), null, { unlockedFor: userId, expiresAt: expiresAt.toISOString() });
+        recordServerEvent({
+            eventId: `unlock:staff:${crypto.randomUUID()}`,
+            type: 'chapter_unlock',
+            source: 'staff',
+            userId,
+            contentId: content.id,
+            chapterId
+        });
+        
+        res.json({ 
+            success: true, 
+            message: 'Chapter unlocked successfully',
+            expiresAt: expiresAt.toISOString(),
+            chapterIds
+        });
+    } catch (error) {
+        console.error('Error unlocking chapter:', error);
+        res.status(500).json({ error: 'Failed to unlock chapter' });
+    }
+});
+
+// Unlock a chapter (plus the following ones when the policy's unlockRange is above 1) for the
+// policy's duration. Ad unlocks skip free and early-access chapters; `range` overrides the policy.
+async function grantChapterUnlock(userId, content, chapterId, details = {}, { range = null } = {}) {
+    const policy = await getLockPolicy(content);
+    const access = await getChapterAccessMap(userId, content, policy);
+    const ordered = [...access.keys()];
+    const start = ordered.indexOf(chapterId);
+    
+    const chapterIds = start === -1 ? [] : range === 1
+        ? [chapterId]
+        : ordered.slice(start)
+            .filter(id => id === chapterId || !['free', 'early-access'].includes(access.get(id).state))
+            .slice(0, range || policy.unlockRange);
+    const expiresAt = new Date(Date.now() + policy.unlockDuration);
+    
+    if (chapterIds.length > 0) {
+        await db.collection('chapter_locks').bulkWrite(chapterIds.map(id => ({
+            updateOne: {
+                filter: { userId, contentId: content.id, chapterId: id },
+                update: { $set: { ...details, unlockedAt: new Date(), expiresAt } },
+                upsert: true
+            }
+        })));
+    }
+    
+    // Update user last seen
+    await db.collection('users').updateOne(
+        { id: userId },
+        { $set: { last_seen: new Date().toISOString() } }
+    );
+    
+    return { expiresAt, chapterIds };
+}
+
+// Rewarded-ad unlock intents
+//
+// 1. The reader asks for an intent for (user, title, chapter) and gets back signed custom data.
+// 2. The app shows a rewarded ad with that custom data and the user id as server-side verification options.
+// 3. The ad network calls GET /api/ads/ssv with a signed callback; only then is the intent 'verified'.
+// 4. A 'grant-ad-unlock' job unlocks the chapters and marks the intent 'completed'. Being a job, the
+//    unlock still happens if the instance that took the callback dies before granting it.
+
+const UNLOCK_INTENT_TTL = 30 * 60 * 1000;
+const SSV_KEYS_URL = process.env.ADMOB_SSV_KEYS_URL || 'https://www.gstatic.com/admob/reward/verifier-keys.json';
+const SSV_MAX_AGE = 60 * 60 * 1000;
+const SSV_KEYS_REFETCH_INTERVAL = 60 * 1000;
+
+function signUnlockIntent(intent) {
+    return crypto.createHmac('sha256', UNLOCK_INTENT_SECRET)
+        .update(`${intent._id}:${intent.userId}:${intent.contentId}:${intent.chapterId}`)
+        .digest('base64url');
+}
+
+// custom_data is "<intentId>.<signature>"
+async function findSignedIntent(customData) {
+    const [intentId, signature] = String(customData || '').split('.');
+    if (!intentId || !signature) {
+        return null;
+    }
+    
+    const intent = await db.collection('unlock_intents').findOne({ _id: intentId });
+    if (!intent) {
+        return null;
+    }
+    
+    const expected = Buffer.from(signUnlockIntent(intent));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? intent : null;
+}
+
+function formatIntent(intent) {
+    return {
+        intentId: intent._id,
+        status: intent.status,
+        contentId: intent.contentId,
+        chapterId: intent.chapterId,
+        expiresAt: intent.expiresAt,
+        ...(intent.unlockExpiresAt && { unlockExpiresAt: intent.unlockExpiresAt }),
+        ...(intent.unlockedChapterIds && { unlockedChapterIds: intent.unlockedChapterIds }),
+        ...(intent.refusedReason && { refusedReason: intent.refusedReason })
+    };
+}
+
+// Verifier public keys by key id, refreshed when the callback names a key we have not seen
+// (at most once a minute, so callbacks with made-up key ids cannot hammer the key server)
+let ssvKeys = new Map();
+let ssvKeysFetchedAt = 0;
+async function getSsvKey(keyId) {
+    if (AD_NETWORK_STUB) {
+        return keyId === String(stubAdNetwork.keyId) ? stubAdNetwork.publicKey : null;
+    }
+    
+    if (!ssvKeys.has(keyId) && Date.now() - ssvKeysFetchedAt >= SSV_KEYS_REFETCH_INTERVAL) {
+        ssvKeysFetchedAt = Date.now();
+        const response = await fetch(SSV_KEYS_URL, { signal: AbortSignal.timeout(10000) });
+        if (!response.ok) {
+            throw new Error(`Could not fetch verifier keys (${response.status})`);
+        }
+        const { keys } = await response.json();
+        ssvKeys = new Map((keys || []).map(key => [String(key.keyId), key.pem]));
+    }
+    
+    return ssvKeys.get(keyId) || null;
+}
+
+// AdMob signs the raw query string up to "&signature="; signature and key_id always come last
+async function verifySsvSignature(rawQuery) {
+    const signatureIndex = rawQuery.indexOf('&signature=');
+    if (signatureIndex === -1) {
+        return false;
+    }
+    
+    const message = rawQuery.slice(0, signatureIndex);
+    const trailer = new URLSearchParams(rawQuery.slice(signatureIndex + 1));
+    const signature = trailer.get('signature');
+    const keyId = trailer.get('key_id');
+    if (!signature || !keyId) {
+        return false;
+    }
+    
+    const publicKey = await getSsvKey(keyId);
+    if (!publicKey) {
+        return false;
+    }
+    
+    return crypto.verify('sha256', Buffer.from(message), publicKey, Buffer.from(signature, 'base64url'));
+}
+
+// Create a single-use unlock intent for a chapter
+app.post('/api/unlock-intents', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId, contentId, chapterId } = req.body;
+        if (!userId || !contentId || !chapterId) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        
+        const user = await db.collection('users').findOne({ id: userId }, { projection: { id: 1 } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const { content } = await resolveContent(contentId);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const policy = await getLockPolicy(content);
+        const access = (await getChapterAccessMap(userId, content, policy)).get(String(chapterId));
+        if (!access) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        if (access.state === 'free') {
+            return res.status(400).json({ error: 'Chapter is free to read' });
+        }
+        if (access.state === 'early-access') {
+            return res.status(403).json({ error: 'Chapter is in early access and cannot be unlocked with ads' });
+        }
+        
+        if (policy.dailyUnlockCap > 0 && (await countUnlocksToday(userId)) >= policy.dailyUnlockCap) {
+            return res.status(429).json({ error: 'Daily unlock limit reached', dailyUnlockCap: policy.dailyUnlockCap });
+        }
+        
+        const now = Date.now();
+        const intent = {
+            _id: crypto.randomBytes(16).toString('hex'),
+            userId,
+            contentId: content.id,
+            chapterId: String(chapterId),
+            status: 'pending',
+            createdAt: new Date(now),
+            expiresAt: new Date(now + UNLOCK_INTENT_TTL),
+            purgeAt: new Date(now + 24 * 60 * 60 * 1000)
+        };
+        await db.collection('unlock_intents').insertOne(intent);
+        
+        res.json({
+            ...formatIntent(intent),
+            customData: `${intent._id}.${signUnlockIntent(intent)}`,
+            ssvUserId: userId
+        });
+    } catch (error) {
+        console.error('Error creating unlock intent:', error);
+        res.status(500).json({ error: 'Failed to create unlock intent' });
+    }
+});
+
+// Poll an unlock intent (pending until the ad network's callback arrives, verified until the unlock is granted)
+app.get('/api/unlock-intents/:intentId', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const intent = await db.collection('unlock_intents').findOne({ _id: req.params.intentId });
+        if (!intent) {
+            return res.status(404).json({ error: 'Unlock intent not found' });
+        }
+        
+        if (intent.status === 'pending' && intent.expiresAt < new Date()) {
+            intent.status = 'expired';
+        }
+        
+        res.json(formatIntent(intent));
+    } catch (error) {
+        console.error('Error fetching unlock intent:', error);
+        res.status(500).json({ error: 'Failed to fetch unlock intent' });
+    }
+});
+
+// AdMob-style server-side verification callback for rewarded ads
+app.get('/api/ads/ssv', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const rawQuery = req.originalUrl.split('?')[1] || '';
+        if (!(await verifySsvSignature(rawQuery))) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        
+        const { transaction_id: transactionId, user_id: userId, custom_data: customData, timestamp } = req.query;
+        if (!transactionId || !customData) {
+            return res.status(400).json({ error: 'Missing transaction_id or custom_data' });
+        }
+        
+        if (!(Math.abs(Date.now() - parseInt(timestamp)) <= SSV_MAX_AGE)) {
+            return res.status(400).json({ error: 'Callback timestamp out of range' });
+        }
+        
+        const intent = await findSignedIntent(customData);
+        if (!intent || intent.userId !== userId) {
+            return res.status(400).json({ error: 'Unknown or tampered unlock intent' });
+        }
+        
+        // Each ad transaction is accepted exactly once
+        try {
+            await db.collection('ad_transactions').insertOne({
+                transactionId,
+                intentId: intent._id,
+                userId,
+                adUnit: req.query.ad_unit || null,
+                rewardAmount: req.query.reward_amount || null,
+                receivedAt: new Date()
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'Transaction already processed' });
+            }
+            throw error;
+        }
+        
+        // ...and each intent unlocks exactly once
+        const claimed = await db.collection('unlock_intents').findOneAndUpdate(
+            { _id: intent._id, status: 'pending', expiresAt: { $gt: new Date() } },
+            { $set: { status: 'verified', transactionId, completedAt: new Date() } }
+        );
+        if (!claimed) {
+            return res.status(409).json({ error: 'Unlock intent already used or expired' });
+        }
+        
+        // The title may have been deleted while the ad played; there is nothing left to unlock
+        const content = await db.collection('content').findOne({ id: intent.contentId, ...NOT_TRASHED });
+        if (!content) {
+            await refuseIntent(intent._id, 'content-gone');
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        // The cap is checked again here: intents opened before the cap was reached may be completed after it.
+        // This one already counts, so only more than the cap is too many.
+        const policy = await getLockPolicy(content);
+        if (policy.dailyUnlockCap > 0 && (await countUnlocksToday(intent.userId)) > policy.dailyUnlockCap) {
+            await refuseIntent(intent._id, 'daily-cap');
+            return res.status(429).json({ error: 'Daily unlock limit reached', dailyUnlockCap: policy.dailyUnlockCap });
+        }
+        
+        await scheduleJob('grant-ad-unlock', `ad-unlock:${intent._id}`, { intentId: intent._id });
+        pollJobs();
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error verifying rewarded ad callback:', error);
+        res.status(500).json({ error: 'Failed to verify callback' });
+    }
+});
+
+// Close an intent without unlocking anything; the reason tells the polling client why
+function refuseIntent(intentId, reason) {
+    return db.collection('unlock_intents').updateOne(
+        { _id: intentId },
+        { $set: { status: 'refused', refusedReason: reason } }
+    );
+}
+
+// Unlock the chapters a verified intent paid for; safe to run again after a crash
+async function grantAdUnlock(intentId) {
+    const intent = await db.collection('unlock_intents').findOne({ _id: intentId, status: 'verified' });
+    if (!intent) {
+        return { skipped: true };
+    }
+    
+    // A title deleted since the callback can't be unlocked; retrying would not bring it back
+    const content = await db.collection('content').findOne({ id: intent.contentId, ...NOT_TRASHED });
+    if (!content) {
+        await refuseIntent(intent._id, 'content-gone');
+        return { skipped: true, reason: 'content-gone' };
+    }
+    
+    const { expiresAt, chapterIds } = await grantChapterUnlock(intent.userId, content, intent.chapterId, { transactionId: intent.transactionId });
+    recordServerEvent({
+        eventId: `unlock:${intent.transactionId}`,
+        type: 'chapter_unlock',
+        source: 'ad',
+        userId: intent.userId,
+        contentId: intent.contentId,
+        chapterId: intent.chapterId
+    });
+    await db.collection('unlock_intents').updateOne(
+        { _id: intent._id },
+        { $set: { status: 'completed', unlockExpiresAt: expiresAt, unlockedChapterIds: chapterIds } }
+    );
+    
+    return { chapterIds };
+}
+
+// Local stand-in for the ad network: signs SSV callbacks with its own key and sends them to /api/ads/ssv
+const stubAdNetwork = { keyId: 1, publicKey: null, privateKey: null };
+if (AD_NETWORK_STUB) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    stubAdNetwork.publicKey = publicKey.export({ type: 'spki', format: 'pem' });
+    stubAdNetwork.privateKey = privateKey;
+    console.warn('⚠️  AD_NETWORK_STUB is enabled; rewarded ads are simulated locally');
+}
+
+async function deliverStubReward(customData, userId) {
+    const params = new URLSearchParams({
+        ad_network: 'stub',
+        ad_unit: 'stub-rewarded',
+        custom_data: customData,
+        reward_amount: '1',
+        reward_item: 'chapter_unlock',
+        timestamp: String(Date.now()),
+        transaction_id: crypto.randomBytes(16).toString('hex'),
+        user_id: userId
+    }).toString();
+    const signature = crypto.sign('sha256', Buffer.from(params), stubAdNetwork.privateKey).toString('base64url');
+    
+    const response = await fetch(`http://127.0.0.1:${PORT}/api/ads/ssv?${params}&signature=${signature}&key_id=${stubAdNetwork.keyId}`);
+    return { status: response.status, body: await response.json() };
+}
+
+if (AD_NETWORK_STUB) {
+    // Pretend the user finished watching an ad for this intent
+    app.post('/dev/ad-network/reward', async (req, res) => {
+        try {
+            const { customData, userId } = req.body;
+            const { status, body } = await deliverStubReward(customData, userId);
+            res.status(status).json(body);
+        } catch (error) {
+            console.error('Error delivering stub reward:', error);
+            res.status(500).json({ error: 'Failed to deliver reward' });
+        }
+    });
+}
+
+// Refresh all chapter locks (reset all locks)
+app.post('/api/refresh-chapter-locks', requireRole('admin'), async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        // Delete all chapter locks
+        const result = await db.collection('chapter_locks').deleteMany({});
+        auditChange(req, auditTarget('chapter_locks'), null, { deletedCount: result.deletedCount });
+        
+        res.json({ 
+            success: true, 
+            message: 'All chapter locks refreshed',
+            deletedCount: result.deletedCount
+        });
+    } catch (error) {
+        console.error('Error refreshing chapter locks:', error);
+        res.status(500).json({ error: 'Failed to refresh chapter locks' });
+    }
+});
+
+// Get chapter lock status for user
+app.get('/api/user-locks/:userId', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const locks = await db.collection('chapter_locks').find({
+            userId: req.params.userId,
+            expiresAt: { $gt: new Date() }
+        }).toArray();
+        
+        res.json(locks);
+    } catch (error) {
+        console.error('Error fetching user locks:', error);
+        res.status(500).json({ error: 'Failed to fetch user locks' });
+    }
+});
+
+// Reading progress endpoints
+
+// Record the last chapter and position a user reached in a title.
+// Returns true when the chapter had not been read before.
+async function recordProgress(userId, contentId, chapterId, position = {}, updatedAt = new Date()) {
+    const previous = await db.collection('reading_progress').findOneAndUpdate(
+        { userId, contentId },
+        {
+            $set: {
+                chapterId,
+                page: parseInt(position.page) || 0,
+                scroll: parseFloat(position.scroll) || 0,
+                updated_at: updatedAt.toISOString()
+            },
+            $addToSet: { readChapters: chapterId },
+            $setOnInsert: { created_at: new Date().toISOString() }
+        },
+        { upsert: true, returnDocument: 'before' }
+    );
+    
+    const isNewChapter = !previous || !(previous.readChapters || []).includes(chapterId);
+    if (isNewChapter) {
+        await db.collection('users').updateOne(
+            { id: userId },
+            { $inc: { chapters_read: 1 } }
+        );
+    }
+    
+    return isNewChapter;
+}
+
+// Build the "continue reading" list for a user, newest first
+async function getContinueReading(userId, limit = 20) {
+    const progress = await db.collection('reading_progress')
+        .find({ userId })
+        .sort({ updated_at: -1 })
+        .limit(limit)
+        .toArray();
+    
+    const contentIds = progress.map(item => item.contentId);
+    const content = await db.collection('content')
+        .find({ id: { $in: contentIds }, ...NOT_TRASHED })
+        .project({ _id: 0, id: 1, title: 1, cover: 1, type: 1, chapters_count: 1 })
+        .toArray();
+    const contentById = new Map(content.map(item => [item.id, item]));
+    
+    return progress
+        .filter(item => contentById.has(item.contentId))
+        .map(item => ({
+            contentId: item.contentId,
+            chapterId: item.chapterId,
+            page: item.page,
+            scroll: item.scroll,
+            readChapters: (item.readChapters || []).length,
+            updated_at: item.updated_at,
+            content: contentById.get(item.contentId)
+        }));
+}
+
+// Get continue reading list and stats for user
+app.get('/api/progress/:userId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        
+        const user = await db.collection('users').findOne({ id: userId });
+        const items = await getContinueReading(userId, limit);
+        
+        res.json({
+            chaptersRead: (user && user.chapters_read) || 0,
+            likesGiven: await countLikesGiven(userId),
+            items
+        });
+    } catch (error) {
+        console.error('Error fetching reading progress:', error);
+        res.status(500).json({ error: 'Failed to fetch reading progress' });
+    }
+});
+
+// Get reading progress for a single title
+app.get('/api/progress/:userId/:contentId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const progress = await db.collection('reading_progress').findOne(
+            { userId: req.params.userId, contentId: parseInt(req.params.contentId) },
+            { projection: { _id: 0 } }
+        );
+        
+        if (!progress) {
+            return res.status(404).json({ error: 'No progress for this title' });
+        }
+        
+        res.json(progress);
+    } catch (error) {
+        console.error('Error fetching reading progress:', error);
+        res.status(500).json({ error: 'Failed to fetch reading progress' });
+    }
+});
+
+// Save reading progress for a title
+app.put('/api/progress/:userId/:contentId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId } = req.params;
+        const contentId = parseInt(req.params.contentId);
+        const { chapterId, page, scroll } = req.body;
+        
+        if (!chapterId || isNaN(contentId)) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        
+        const newChapter = await recordProgress(userId, contentId, String(chapterId), { page, scroll });
+        
+        const user = await db.collection('users').findOneAndUpdate(
+            { id: userId },
+            { $set: { last_seen: new Date().toISOString() } },
+            { returnDocument: 'after' }
+        );
+        
+        res.json({
+            success: true,
+            newChapter,
+            chaptersRead: (user && user.chapters_read) || 0
+        });
+    } catch (error) {
+        console.error('Error saving reading progress:', error);
+        res.status(500).json({ error: 'Failed to save reading progress' });
+    }
+});
+
+// Merge reading history kept in the browser into the server copy (first sync)
+app.post('/api/progress/:userId/sync', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId } = req.params;
+        const { chaptersRead, history } = req.body;
+        let merged = 0;
+        let skipped = 0;
+        
+        // Entries that can't be read (bad ids or dates) are skipped and counted, not allowed to fail the sync
+        for (const entry of Array.isArray(history) ? history : []) {
+            const contentId = parseInt(entry && entry.contentId);
+            const updatedAt = entry && entry.updatedAt ? new Date(entry.updatedAt) : new Date(0);
+            if (!entry || !entry.chapterId || isNaN(contentId) || isNaN(updatedAt.getTime())) {
+                skipped++;
+                continue;
+            }
+            
+            // Keep whichever position is newer
+            const existing = await db.collection('reading_progress').findOne({ userId, contentId });
+            if (existing && new Date(existing.updated_at) >= updatedAt) {
+                await db.collection('reading_progress').updateOne(
+                    { userId, contentId },
+                    { $addToSet: { readChapters: String(entry.chapterId) } }
+                );
+            } else {
+                await recordProgress(userId, contentId, String(entry.chapterId), entry, updatedAt);
+            }
+            merged++;
+        }
+        
+        // Older clients only kept a counter, so never let the total go down
+        const user = await db.collection('users').findOneAndUpdate(
+            { id: userId },
+            {
+                $max: { chapters_read: parseInt(chaptersRead) || 0 },
+                $set: {
+                    progress_synced_at: new Date().toISOString(),
+                    last_seen: new Date().toISOString()
+                }
+            },
+            { returnDocument: 'after' }
+        );
+        
+        res.json({
+            success: true,
+            merged,
+            skipped,
+            chaptersRead: (user && user.chapters_read) || 0,
+            likesGiven: await countLikesGiven(userId),
+            items: await getContinueReading(userId)
+        });
+    } catch (error) {
+        console.error('Error syncing reading progress:', error);
+        res.status(500).json({ error: 'Failed to sync reading progress' });
+    }
+});
+
+// Library endpoints (Read Later, favourites and custom shelves)
+
+function formatShelf(shelf) {
+    return {
+        id: shelf.shelfId,
+        name: shelf.name,
+        system: !!shelf.system,
+        items: shelf.items || [],
+        count: (shelf.items || []).length,
+        updated_at: shelf.updated_at || null
+    };
+}
+
+// All shelves for a user; built-in shelves are listed first even before they are stored
+async function getShelves(userId) {
+    const stored = await db.collection('library').find({ userId }).sort({ created_at: 1 }).toArray();
+    const storedById = new Map(stored.map(shelf => [shelf.shelfId, shelf]));
+    
+    const builtIn = LIBRARY_SHELVES.map(shelf => storedById.get(shelf.id) || {
+        shelfId: shelf.id,
+        name: shelf.name,
+        system: true,
+        items: []
+    });
+    const custom = stored.filter(shelf => !shelf.system);
+    
+    return [...builtIn, ...custom].map(formatShelf);
+}
+
+// Add a title to the end of a shelf; built-in shelves are created on first use
+async function addToShelf(userId, shelfId, contentId) {
+    const builtIn = LIBRARY_SHELVES.find(shelf => shelf.id === shelfId);
+    const now = new Date().toISOString();
+    
+    const update = {
+        $addToSet: { items: contentId },
+        $set: { updated_at: now }
+    };
+    if (builtIn) {
+        update.$setOnInsert = { name: builtIn.name, system: true, created_at: now };
+    }
+    
+    const result = await db.collection('library').updateOne(
+        { userId, shelfId },
+        update,
+        { upsert: !!builtIn }
+    );
+    
+    return result.matchedCount > 0 || result.upsertedCount > 0;
+}
+
+// Get user library
+app.get('/api/library/:userId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        res.json({ shelves: await getShelves(req.params.userId) });
+    } catch (error) {
+        console.error('Error fetching library:', error);
+        res.status(500).json({ error: 'Failed to fetch library' });
+    }
+});
+
+// Create custom shelf
+app.post('/api/library/:userId/shelves', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Shelf name is required' });
+        }
+        
+        const now = new Date().toISOString();
+        const shelf = {
+            userId: req.params.userId,
+            shelfId: 'shelf_' + crypto.randomBytes(6).toString('hex'),
+            name: name.slice(0, 60),
+            system: false,
+            items: [],
+            created_at: now,
+            updated_at: now
+        };
+        
+        await db.collection('library').insertOne(shelf);
+        res.json(formatShelf(shelf));
+    } catch (error) {
+        console.error('Error creating shelf:', error);
+        res.status(500).json({ error: 'Failed to create shelf' });
+    }
+});
+
+// Rename custom shelf
+app.put('/api/library/:userId/shelves/:shelfId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Shelf name is required' });
+        }
+        
+        const result = await db.collection('library').updateOne(
+            { userId: req.params.userId, shelfId: req.params.shelfId, system: false },
+            { $set: { name: name.slice(0, 60), updated_at: new Date().toISOString() } }
+        );
+        
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Shelf not found' });
+        }
+        
+        res.json({ success: true, message: 'Shelf renamed successfully' });
+    } catch (error) {
+        console.error('Error renaming shelf:', error);
+        res.status(500).json({ error: 'Failed to rename shelf' });
+    }
+});
+
+// Delete custom shelf
+app.delete('/api/library/:userId/shelves/:shelfId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const result = await db.collection('library').deleteOne({
+            userId: req.params.userId,
+            shelfId: req.params.shelfId,
+            system: false
+        });
+        
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Shelf not found' });
+        }
+        
+        res.json({ success: true, message: 'Shelf deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting shelf:', error);
+        res.status(500).json({ error: 'Failed to delete shelf' });
+    }
+});
+
+// Add title to shelf
+app.post('/api/library/:userId/shelves/:shelfId/items', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId, shelfId } = req.params;
+        const contentId = parseInt(req.body.contentId);
+        
+        const content = await db.collection('content').findOne({ id: contentId, ...NOT_TRASHED });
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        if (!(await addToShelf(userId, shelfId, contentId))) {
+            return res.status(404).json({ error: 'Shelf not found' });
+        }
+        
+        res.json({ success: true, message: 'Added to shelf' });
+    } catch (error) {
+        console.error('Error adding to shelf:', error);
+        res.status(500).json({ error: 'Failed to add to shelf' });
+    }
+});
+
+// Remove title from shelf
+app.delete('/api/library/:userId/shelves/:shelfId/items/:contentId', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const contentId = parseInt(req.params.contentId);
+        const result = await db.collection('library').updateOne(
+            { userId: req.params.userId, shelfId: req.params.shelfId, items: contentId },
+            {
+                $pull: { items: contentId },
+                $set: { updated_at: new Date().toISOString() }
+            }
+        );
+        
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Item not found on shelf' });
+        }
+        
+        res.json({ success: true, message: 'Removed from shelf' });
+    } catch (error) {
+        console.error('Error removing from shelf:', error);
+        res.status(500).json({ error: 'Failed to remove from shelf' });
+    }
+});
+
+// Reorder shelf items (body must list exactly the titles already on the shelf)
+app.put('/api/library/:userId/shelves/:shelfId/order', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId, shelfId } = req.params;
+        const items = Array.isArray(req.body.items) ? req.body.items.map(id => parseInt(id)) : null;
+        
+        const shelf = await db.collection('library').findOne({ userId, shelfId });
+        if (!shelf) {
+            return res.status(404).json({ error: 'Shelf not found' });
+        }
+        
+        const current = [...shelf.items].sort((a, b) => a - b);
+        const proposed = items ? [...items].sort((a, b) => a - b) : [];
+        if (!items || current.length !== proposed.length || current.some((id, i) => id !== proposed[i])) {
+            return res.status(400).json({ error: 'Items must contain exactly the titles on the shelf' });
+        }
+        
+        await db.collection('library').updateOne(
+            { userId, shelfId },
+            { $set: { items, updated_at: new Date().toISOString() } }
+        );
+        
+        res.json({ success: true, message: 'Shelf reordered successfully' });
+    } catch (error) {
+        console.error('Error reordering shelf:', error);
+        res.status(500).json({ error: 'Failed to reorder shelf' });
+    }
+});
+
+// Merge the Read Later list kept in the browser into the server library (first load)
+app.post('/api/library/:userId/migrate', requireOwnReader, async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { userId } = req.params;
+        const readLater = Array.isArray(req.body.readLater) ? req.body.readLater.map(id => parseInt(id)) : [];
+        
+        // Only titles that still exist are carried over, in the order the browser kept them
+        const existing = await db.collection('content')
+            .find({ id: { $in: readLater }, ...NOT_TRASHED })
+            .project({ id: 1 })
+            .toArray();
+        const existingIds = new Set(existing.map(item => item.id));
+        
+        let migrated = 0;
+        for (const contentId of readLater) {
+            if (existingIds.has(contentId)) {
+                await addToShelf(userId, 'read-later', contentId);
+                migrated++;
+            }
+        }
+        
+        await db.collection('users').updateOne(
+            { id: userId },
+            { $set: { library_migrated_at: new Date().toISOString() } }
+        );
+        
+        res.json({ success: true, migrated, shelves: await getShelves(userId) });
+    } catch (error) {
+        console.error('Error migrating library:', error);
+        res.status(500).json({ error: 'Failed to migrate library' });
+    }
+});
+
+// Ratings and chapter likes
+//
+// One rating (1-5) per user and title and one like per user and chapter; voting again changes the vote.
+// Titles keep ratingAverage/ratingCount and chapters keep likes, recounted after every change.
+// `rating` stays what readers see: staff type it (ratingMode 'manual', the default) or it follows the
+// average (ratingMode 'computed'), with the typed value kept in manualRating until they switch back.
+
+const RATING_MODES = ['manual', 'computed'];
+
+function formatRating(average) {
+    return average.toFixed(1);
+}
+
+// Turn a content update into one that respects the title's rating mode (used for edits and rollbacks)
+function ratingChanges(existing, changes) {
+    const wasComputed = existing.ratingMode === 'computed';
+    const mode = changes.ratingMode || existing.ratingMode || 'manual';
+    const result = { ...changes };
+    
+    if (mode === 'computed') {
+        const manual = changes.rating !== undefined ? changes.rating : (wasComputed ? existing.manualRating : existing.rating);
+        result.manualRating = manual;
+        result.rating = existing.ratingCount > 0 ? formatRating(existing.ratingAverage) : manual;
+    } else if (wasComputed) {
+        result.rating = changes.rating !== undefined ? changes.rating : existing.manualRating;
+        result.manualRating = null;
+    }
+    return result;
+}
+
+// Recount a title's votes; a computed rating falls back to the manual one while there are none
+async function refreshRatingSummary(contentId) {
+    const [summary] = await db.collection('ratings').aggregate([
+        { $match: { contentId } },
+        { $group: { _id: null, average: { $avg: '$score' }, count: { $sum: 1 } } }
+    ]).toArray();
+    
+    const count = summary ? summary.count : 0;
+    const average = count > 0 ? Math.round(summary.average * 100) / 100 : null;
+    
+    return db.collection('content').findOneAndUpdate(
+        { id: contentId },
+        [{
+            $set: {
+                ratingAverage: average,
+                ratingCount: count,
+                rating: {
+                    $cond: [
+                        { $eq: ['$ratingMode', 'computed'] },
+                        count > 0 ? formatRating(average) : '$manualRating',
+                        '$rating'
+                    ]
+                }
+            }
+        }],
+        { returnDocument: 'after', projection: { _id: 0, rating: 1, ratingMode: 1, ratingAverage: 1, ratingCount: 1 } }
+    );
+}
+
+async function refreshChapterLikes(contentId, chapterId) {
+    const likes = await db.collection('chapter_likes').countDocuments({ contentId, chapterId });
+    await db.collection('chapters').updateOne({ contentId, chapterId }, { $set: { likes } });
+    return likes;
+}
+
+// Recount every title and chapter a user's votes touched (after their votes moved or were removed)
+async function refreshVoteCounts(ratings, likes) {
+    for (const contentId of new Set(ratings.map(vote => vote.contentId))) {
+        await refreshRatingSummary(contentId);
+    }
+    const chapters = new Map(likes.map(like => [`${like.contentId}/${like.chapterId}`, like]));
+    for (const like of chapters.values()) {
+        await refreshChapterLikes(like.contentId, like.chapterId);
+    }
+}
+
+// Move a guest's votes to an account; where both voted, the account's vote stands
+async function moveVotes(guestId, targetId) {
+    const ratings = await db.collection('ratings').find({ userId: guestId }).toArray();
+    for (const vote of ratings) {
+        await db.collection('ratings').updateOne(
+            { contentId: vote.contentId, userId: targetId },
+            { $setOnInsert: { score: vote.score, created_at: vote.created_at, updated_at: vote.updated_at } },
+            { upsert: true }
+        );
+    }
+    
+    const likes = await db.collection('chapter_likes').find({ userId: guestId }).toArray();
+    for (const like of likes) {
+        await db.collection('chapter_likes').updateOne(
+            { contentId: like.contentId, chapterId: like.chapterId, userId: targetId },
+            { $setOnInsert: { created_at: like.created_at } },
+            { upsert: true }
+        );
+    }
+    
+    await db.collection('ratings').deleteMany({ userId: guestId });
+    await db.collection('chapter_likes').deleteMany({ userId: guestId });
+    await refreshVoteCounts(ratings, likes);
+}
+
+async function removeUserVotes(userId) {
+    const ratings = await db.collection('ratings').find({ userId }).toArray();
+    const likes = await db.collection('chapter_likes').find({ userId }).toArray();
+    await db.collection('ratings').deleteMany({ userId });
+    await db.collection('chapter_likes').deleteMany({ userId });
+    await refreshVoteCounts(ratings, likes);
+}
+
+function countLikesGiven(userId) {
+    return db.collection('chapter_likes').countDocuments({ userId });
+}
+
+function formatRatingSummary(content) {
+    return {
+        rating: content.rating,
+        ratingMode: content.ratingMode || 'manual',
+        ratingAverage: content.ratingAverage === undefined ? null : content.ratingAverage,
+        ratingCount: content.ratingCount || 0
+    };
+}
+
+// The reader acting: the signed-in user, otherwise a guest id from the request. Accounts only act
+// through their session, so knowing an account's id is not enough to vote or comment as it.
+async function findReader(req) {
+    if (req.user) {
+        return req.user;
+    }
+    
+    const userId = String(req.body.userId || req.query.userId || '');
+    if (!isGuestId(userId)) {
+        return null;
+    }
+    return db.collection('users').findOne({ id: userId, type: 'guest', ...NOT_TRASHED });
+}
+
+async function findVoter(req) {
+    const user = await findReader(req);
+    return user ? user.id : null;
+}
+
+// A title's rating summary, plus the user's own score when ?userId= is given
+app.get('/api/manga/:id/rating', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const userId = await findVoter(req);
+        const vote = userId ? await db.collection('ratings').findOne({ contentId: content.id, userId }) : null;
+        
+        res.json({ ...formatRatingSummary(content), userScore: vote ? vote.score : null });
+    } catch (error) {
+        console.error('Error fetching rating:', error);
+        res.status(500).json({ error: 'Failed to fetch rating' });
+    }
+});
+
+// Rate a title 1-5 ({ userId, score }); rating again replaces the earlier score
+app.put('/api/manga/:id/rating', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const score = req.body.score;
+        if (!Number.isInteger(score) || score < 1 || score > 5) {
+            return res.status(400).json({ error: 'score must be a whole number from 1 to 5' });
+        }
+        
+        const userId = await findVoter(req);
+        if (!userId) {
+            return res.status(401).json({ error: 'Sign in, or send a guest userId' });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const now = new Date().toISOString();
+        await db.collection('ratings').updateOne(
+            { contentId: content.id, userId },
+            { $set: { score, updated_at: now }, $setOnInsert: { created_at: now } },
+            { upsert: true }
+        );
+        const summary = await refreshRatingSummary(content.id);
+        
+        res.json({ success: true, ...formatRatingSummary(summary), userScore: score });
+    } catch (error) {
+        console.error('Error saving rating:', error);
+        res.status(500).json({ error: 'Failed to save rating' });
+    }
+});
+
+// Withdraw a rating
+app.delete('/api/manga/:id/rating', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const userId = await findVoter(req);
+        if (!userId) {
+            return res.status(401).json({ error: 'Sign in, or send a guest userId' });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        await db.collection('ratings').deleteOne({ contentId: content.id, userId });
+        const summary = await refreshRatingSummary(content.id);
+        
+        res.json({ success: true, ...formatRatingSummary(summary), userScore: null });
+    } catch (error) {
+        console.error('Error removing rating:', error);
+        res.status(500).json({ error: 'Failed to remove rating' });
+    }
+});
+
+// Like (PUT) or unlike (DELETE) a published chapter; both are safe to repeat
+app.put('/api/manga/:id/chapters/:chapterId/like', (req, res) => setChapterLike(req, res, true));
+app.delete('/api/manga/:id/chapters/:chapterId/like', (req, res) => setChapterLike(req, res, false));
+
+async function setChapterLike(req, res, liked) {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const userId = await findVoter(req);
+        if (!userId) {
+            return res.status(401).json({ error: 'Sign in, or send a guest userId' });
+        }
+        
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        
+        const chapter = await db.collection('chapters').findOne(
+            { contentId: content.id, chapterId: req.params.chapterId, ...PUBLISHED_CHAPTERS, ...NOT_TRASHED },
+            { projection: { chapterId: 1 } }
+        );
+        if (!chapter) {
+            return res.status(404).json({ error: 'Chapter not found' });
+        }
+        
+        const like = { contentId: content.id, chapterId: chapter.chapterId, userId };
+        if (liked) {
+            await db.collection('chapter_likes').updateOne(
+                like,
+                { $setOnInsert: { created_at: new Date().toISOString() } },
+                { upsert: true }
+            );
+        } else {
+            await db.collection('chapter_likes').deleteOne(like);
+        }
+        
+        res.json({
+            success: true,
+            liked,
+            likes: await refreshChapterLikes(content.id, chapter.chapterId),
+            likesGiven: await countLikesGiven(userId)
+        });
+    } catch (error) {
+        console.error('Error updating chapter like:', error);
+        res.status(500).json({ error: 'Failed to update like' });
+    }
+}
+
+// Chapter comments
+//
+// Comments belong to a published chapter. A reply points at the comment it answers (parentId) and at the
+// top-level comment of its thread (rootId), so a thread loads in one query. Authors edit and delete their
+// own comments; readers report them, and staff hide, delete or dismiss reports from the moderation queue.
+// A comment that still has replies is blanked ('removed') instead of deleted so the thread stays readable.
+// Banned users (users.banned_at) can still read but not comment or report.
+
+const COMMENT_MAX_LENGTH = 2000;
+const REPORT_REASONS = ['spam', 'abuse', 'spoiler', 'other'];
+const MODERATION_FILTERS = ['reported', 'hidden', 'all'];
+
+// Readers never see who wrote a comment beyond its display name; `own` marks the requester's comments
+function formatComment(comment, viewer) {
+    const visible = comment.status === 'visible';
+    return {
+        id: comment.id,
+        contentId: comment.contentId,
+        chapterId: comment.chapterId,
+        parentId: comment.parentId,
+        own: visible && !!viewer && comment.userId === viewer.id,
+        authorName: visible ? comment.authorName : null,
+        body: visible ? comment.body : null,
+        spoiler: visible && !!comment.spoiler,
+        status: comment.status,
+        created_at: comment.created_at,
+        edited_at: comment.edited_at || null
+    };
+}
+
+// Staff see everything, including what readers no longer can
+function formatModeratedComment(comment) {
+    const { _id, ...rest } = comment;
+    return rest;
+}
+
+function normalizeCommentBody(input) {
+    if (typeof input.body !== 'string' || !input.body.trim()) {
+        return { error: 'body must be a non-empty string' };
+    }
+    if (input.body.trim().length > COMMENT_MAX_LENGTH) {
+        return { error: `body must be at most ${COMMENT_MAX_LENGTH} characters` };
+    }
+    if (input.spoiler !== undefined && typeof input.spoiler !== 'boolean') {
+        return { error: 'spoiler must be true or false' };
+    }
+    return { fields: { body: input.body.trim(), ...(input.spoiler !== undefined && { spoiler: input.spoiler }) } };
+}
+
+function authorName(user) {
+    return user.name || (isGuestId(user.id) ? 'Guest' : 'Reader');
+}
+
+// The published chapter a comment route is about, or an error response
+async function findCommentChapter(req) {
+    const { content } = await resolveContent(req.params.id);
+    if (!content) {
+        return { status: 404, error: 'Content not found' };
+    }
+    
+    const chapter = await db.collection('chapters').findOne(
+        { contentId: content.id, chapterId: req.params.chapterId, ...PUBLISHED_CHAPTERS, ...NOT_TRASHED },
+        { projection: { contentId: 1, chapterId: 1 } }
+    );
+    if (!chapter) {
+        return { status: 404, error: 'Chapter not found' };
+    }
+    return { chapter };
+}
+
+// A comment a reader acts on, only while its chapter and title are still up
+async function findLiveComment(id) {
+    const comment = await db.collection('comments').findOne({ id });
+    if (!comment || comment.status === 'removed') {
+        return null;
+    }
+    
+    const chapter = await db.collection('chapters').findOne(
+        { contentId: comment.contentId, chapterId: comment.chapterId, ...NOT_TRASHED },
+        { projection: { _id: 1 } }
+    );
+    const content = chapter && await db.collection('content').findOne({ id: comment.contentId, ...NOT_TRASHED }, { projection: { _id: 1 } });
+    return content ? comment : null;
+}
+
+async function hasReplies(comment) {
+    return !!(await db.collection('comments').findOne({ parentId: comment.id }, { projection: { _id: 1 } }));
+}
+
+// Close a comment's open reports with the action that settled them
+async function resolveReports(comment, resolution, user) {
+    await db.collection('comment_reports').updateMany(
+        { commentId: comment.id, resolved_at: { $exists: false } },
+        {
+            $set: {
+                resolved_at: new Date().toISOString(),
+                resolution,
+                ...(user && { resolvedBy: { id: user.id, email: user.email } })
+            }
+        }
+    );
+    await db.collection('comments').updateOne({ id: comment.id }, { $set: { openReports: 0 } });
+}
+
+// Delete a comment, or blank it while replies still hang off it; returns the action taken
+async function removeComment(comment, resolution, user) {
+    if (await hasReplies(comment)) {
+        await resolveReports(comment, resolution, user);
+        await db.collection('comments').updateOne(
+            { id: comment.id },
+            {
+                $set: { status: 'removed', body: '', updated_at: new Date().toISOString() },
+                $unset: { spoiler: '' }
+            }
+        );
+        return 'removed';
+    }
+    
+    await db.collection('comment_reports').deleteMany({ commentId: comment.id });
+    await db.collection('comments').deleteOne({ id: comment.id });
+    if (comment.parentId) {
+        await db.collection('comments').updateOne({ id: comment.rootId }, { $inc: { replyCount: -1 } });
+        
+        // A blanked parent with nothing left under it has no reason to stay
+        const parent = await db.collection('comments').findOne({ id: comment.parentId, status: 'removed' });
+        if (parent && !(await hasReplies(parent))) {
+            await removeComment(parent, resolution, user);
+        }
     }
-});
+    return 'deleted';
+}
 
-// Get all manga/novel content
-app.get('/api/manga', async (req, res) => {
-    try {
-        if (!db) {
-            return res.status(503).json({ error: 'Database not available' });
+async function removeCommentsWhere(filter) {
+    await db.collection('comments').deleteMany(filter);
+    await db.collection('comment_reports').deleteMany(filter);
+}
+
+// Remove everything a purged user wrote or reported
+async function removeUserComments(userId) {
+    const reports = await db.collection('comment_reports').find({ userId, resolved_at: { $exists: false } }).toArray();
+    for (const report of reports) {
+        await db.collection('comments').updateOne({ id: report.commentId, openReports: { $gt: 0 } }, { $inc: { openReports: -1 } });
+    }
+    await db.collection('comment_reports').deleteMany({ userId });
+    
+    // Newest first, so replies go before the comments they answer
+    const comments = await db.collection('comments').find({ userId }).sort({ created_at: -1 }).toArray();
+    for (const comment of comments) {
+        const current = await db.collection('comments').findOne({ id: comment.id });
+        if (current && current.status !== 'removed') {
+            await removeComment(current, 'author-purged', null);
         }
-        
-        const content = await db.collection('content').find({}).toArray();
-        res.json(content);
-    } catch (error) {
-        console.error('Error fetching manga:', error);
-        res.status(500).json({ error: 'Failed to fetch manga' });
     }
-});
+}
 
-// Get specific manga/novel by ID
-app.get('/api/manga/:id', async (req, res) => {
-    try {
-        if (!db) {
-            return res.status(503).json({ error: 'Database not available' });
+// Give a guest's comments and reports to the account they signed in to
+async function moveComments(guestId, target) {
+    await db.collection('comments').updateMany(
+        { userId: guestId },
+        { $set: { userId: target.id, authorName: authorName(target) } }
+    );
+    
+    // Where both reported the same comment, the account's report stands
+    const reports = await db.collection('comment_reports').find({ userId: guestId }).toArray();
+    for (const report of reports) {
+        const duplicate = await db.collection('comment_reports').findOne({ commentId: report.commentId, userId: target.id });
+        if (!duplicate) {
+            await db.collection('comment_reports').updateOne({ _id: report._id }, { $set: { userId: target.id } });
+            continue;
         }
-        
-        const content = await db.collection('content').findOne({ id: parseInt(req.params.id) });
-        if (!content) {
-            return res.status(404).json({ error: 'Content not found' });
+        await db.collection('comment_reports').deleteOne({ _id: report._id });
+        if (!report.resolved_at) {
+            await db.collection('comments').updateOne({ id: report.commentId, openReports: { $gt: 0 } }, { $inc: { openReports: -1 } });
         }
-        res.json(content);
-    } catch (error) {
-        console.error('Error fetching manga:', error);
-        res.status(500).json({ error: 'Failed to fetch manga' });
     }
-});
+}
 
-// Create new manga/novel
-app.post('/api/manga', async (req, res) => {
+// Threads for a chapter, newest first; each thread lists its replies oldest first
+app.get('/api/manga/:id/chapters/:chapterId/comments', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { title, description, type, cover, author, genres, status, rating, chapters_count } = req.body;
+        const { chapter, status, error } = await findCommentChapter(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
         
-        // Generate a new ID
-        const lastContent = await db.collection('content').find().sort({ id: -1 }).limit(1).toArray();
-        const newId = lastContent.length > 0 ? lastContent[0].id + 1 : 1;
+        const viewer = await findReader(req);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
         
-        const newContent = {
-            id: newId,
-            title,
-            description,
-            type: type || 'manga',
-            cover,
-            author: author || 'Unknown',
-            genres: genres || 'Action, Adventure',
-            status: status || 'Ongoing',
-            rating: rating || '4.5',
-            chapters_count: chapters_count || 0,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
+        // A thread whose first comment is gone only shows while it has replies
+        const filter = {
+            contentId: chapter.contentId,
+            chapterId: chapter.chapterId,
+            parentId: null,
+            $or: [{ status: 'visible' }, { replyCount: { $gt: 0 } }]
         };
+        const total = await db.collection('comments').countDocuments(filter);
+        const totalPages = Math.ceil(total / limit);
+        const roots = await db.collection('comments')
+            .find(filter)
+            .sort({ created_at: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
         
-        await db.collection('content').insertOne(newContent);
-        res.json(newContent);
+        const replies = await db.collection('comments')
+            .find({ rootId: { $in: roots.map(root => root.id) } })
+            .sort({ created_at: 1 })
+            .toArray();
+        
+        // Hidden or removed replies stay as placeholders only when something answers them
+        const answered = new Set(replies.map(reply => reply.parentId));
+        const repliesByRoot = new Map();
+        replies
+            .filter(reply => reply.status === 'visible' || answered.has(reply.id))
+            .forEach(reply => {
+                if (!repliesByRoot.has(reply.rootId)) {
+                    repliesByRoot.set(reply.rootId, []);
+                }
+                repliesByRoot.get(reply.rootId).push(formatComment(reply, viewer));
+            });
+        
+        res.json({
+            comments: roots.map(root => ({ ...formatComment(root, viewer), replies: repliesByRoot.get(root.id) || [] })),
+            total,
+            page,
+            limit,
+            totalPages,
+            next: page < totalPages ? pageLink(req, { page: page + 1 }) : null,
+            prev: page > 1 ? pageLink(req, { page: page - 1 }) : null
+        });
     } catch (error) {
-        console.error('Error creating manga:', error);
-        res.status(500).json({ error: 'Failed to create manga' });
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ error: 'Failed to fetch comments' });
     }
 });
 
-// Update manga/novel
-app.put('/api/manga/:id', async (req, res) => {
+// Comment on a chapter ({ userId, body, spoiler, parentId }); parentId makes it a reply
+app.post('/api/manga/:id/chapters/:chapterId/comments', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { title, description, cover, author, genres, status, rating } = req.body;
+        const { fields, error: invalid } = normalizeCommentBody(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
         
-        const updateData = {
-            ...(title && { title }),
-            ...(description && { description }),
-            ...(cover && { cover }),
-            ...(author && { author }),
-            ...(genres && { genres }),
-            ...(status && { status }),
-            ...(rating && { rating }),
-            updated_at: new Date().toISOString()
-        };
+        const user = await findReader(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Sign in, or send a guest userId' });
+        }
+        if (user.banned_at) {
+            return res.status(403).json({ error: 'You are banned from commenting' });
+        }
         
-        const result = await db.collection('content').updateOne(
-            { id: parseInt(req.params.id) },
-            { $set: updateData }
-        );
+        const { chapter, status, error } = await findCommentChapter(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
         
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: 'Content not found' });
+        let parent = null;
+        if (req.body.parentId) {
+            parent = await db.collection('comments').findOne({
+                id: String(req.body.parentId),
+                contentId: chapter.contentId,
+                chapterId: chapter.chapterId,
+                status: 'visible'
+            });
+            if (!parent) {
+                return res.status(404).json({ error: 'Comment to reply to not found' });
+            }
+        }
+        
+        const now = new Date().toISOString();
+        const comment = {
+            id: 'cmt_' + crypto.randomBytes(8).toString('hex'),
+            contentId: chapter.contentId,
+            chapterId: chapter.chapterId,
+            parentId: parent ? parent.id : null,
+            rootId: parent ? (parent.rootId || parent.id) : null,
+            userId: user.id,
+            authorName: authorName(user),
+            body: fields.body,
+            spoiler: !!fields.spoiler,
+            status: 'visible',
+            replyCount: 0,
+            openReports: 0,
+            created_at: now,
+            updated_at: now
+        };
+        
+        await db.collection('comments').insertOne(comment);
+        if (parent) {
+            await db.collection('comments').updateOne({ id: comment.rootId }, { $inc: { replyCount: 1 } });
         }
         
-        res.json({ success: true, message: 'Content updated successfully' });
+        res.json({ success: true, comment: formatComment(comment, user) });
     } catch (error) {
-        console.error('Error updating manga:', error);
-        res.status(500).json({ error: 'Failed to update manga' });
+        console.error('Error creating comment:', error);
+        res.status(500).json({ error: 'Failed to create comment' });
     }
 });
 
-// Get chapters for specific manga/novel
-app.get('/api/manga/:id/chapters', async (req, res) => {
+// Edit your own comment ({ userId, body, spoiler })
+app.put('/api/comments/:commentId', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const chapters = await db.collection('chapters').find({ contentId: parseInt(req.params.id) }).toArray();
+        const { fields, error } = normalizeCommentBody(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
-        // Convert to object format expected by frontend
-        const chaptersObject = {};
-        chapters.forEach(chapter => {
-            chaptersObject[chapter.chapterId] = {
-                title: chapter.title,
-                pages: chapter.pages || [],
-                content: chapter.content || null
-            };
-        });
+        const user = await findReader(req);
+        const comment = await findLiveComment(req.params.commentId);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (!user || comment.userId !== user.id) {
+            return res.status(403).json({ error: 'You can only edit your own comments' });
+        }
+        if (user.banned_at) {
+            return res.status(403).json({ error: 'You are banned from commenting' });
+        }
+        if (comment.status === 'hidden') {
+            return res.status(409).json({ error: 'This comment was hidden by a moderator' });
+        }
         
-        res.json(chaptersObject);
+        const now = new Date().toISOString();
+        const updated = await db.collection('comments').findOneAndUpdate(
+            { id: comment.id },
+            { $set: { ...fields, edited_at: now, updated_at: now } },
+            { returnDocument: 'after' }
+        );
+        
+        res.json({ success: true, comment: formatComment(updated, user) });
     } catch (error) {
-        console.error('Error fetching chapters:', error);
-        res.status(500).json({ error: 'Failed to fetch chapters' });
+        console.error('Error updating comment:', error);
+        res.status(500).json({ error: 'Failed to update comment' });
     }
 });
 
-// Create new chapter
-app.post('/api/manga/:id/chapters', async (req, res) => {
+// Delete your own comment ({ userId })
+app.delete('/api/comments/:commentId', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { chapterId, title, pages, content } = req.body;
-        const contentId = parseInt(req.params.id);
-        
-        // Check if chapter already exists
-        const existingChapter = await db.collection('chapters').findOne({
-            contentId: contentId,
-            chapterId: chapterId
-        });
-        
-        if (existingChapter) {
-            return res.status(400).json({ error: 'Chapter already exists' });
+        const user = await findReader(req);
+        const comment = await findLiveComment(req.params.commentId);
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (!user || comment.userId !== user.id) {
+            return res.status(403).json({ error: 'You can only delete your own comments' });
         }
         
-        const newChapter = {
-            contentId: contentId,
-            chapterId: chapterId,
-            title: title || `Chapter ${chapterId}`,
-            pages: pages || [],
-            content: content || null,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
-        
-        await db.collection('chapters').insertOne(newChapter);
-        
-        // Update chapter count in content
-        await db.collection('content').updateOne(
-            { id: contentId },
-            { $inc: { chapters_count: 1 } }
-        );
-        
-        res.json(newChapter);
+        const action = await removeComment(comment, 'author-deleted', user);
+        res.json({ success: true, action });
     } catch (error) {
-        console.error('Error creating chapter:', error);
-        res.status(500).json({ error: 'Failed to create chapter' });
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
     }
 });
 
-// Delete chapter
-app.delete('/api/manga/:id/chapters/:chapterId', async (req, res) => {
+// Report a comment to the moderators ({ userId, reason, note }); once per reader and comment
+app.post('/api/comments/:commentId/report', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const result = await db.collection('chapters').deleteOne({
-            contentId: parseInt(req.params.id),
-            chapterId: req.params.chapterId
-        });
+        const reason = req.body.reason || 'other';
+        if (!REPORT_REASONS.includes(reason)) {
+            return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+        }
         
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: 'Chapter not found' });
+        const user = await findReader(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Sign in, or send a guest userId' });
+        }
+        if (user.banned_at) {
+            return res.status(403).json({ error: 'You are banned from commenting' });
         }
         
-        // Update chapter count in content
-        await db.collection('content').updateOne(
-            { id: parseInt(req.params.id) },
-            { $inc: { chapters_count: -1 } }
+        const comment = await findLiveComment(req.params.commentId);
+        if (!comment || comment.status !== 'visible') {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.userId === user.id) {
+            return res.status(400).json({ error: 'You cannot report your own comment' });
+        }
+        
+        const result = await db.collection('comment_reports').updateOne(
+            { commentId: comment.id, userId: user.id },
+            {
+                $setOnInsert: {
+                    contentId: comment.contentId,
+                    chapterId: comment.chapterId,
+                    reason,
+                    note: typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : '',
+                    created_at: new Date().toISOString()
+                }
+            },
+            { upsert: true }
         );
+        if (result.upsertedCount > 0) {
+            await db.collection('comments').updateOne(
+                { id: comment.id },
+                { $inc: { openReports: 1 }, $set: { last_reported_at: new Date().toISOString() } }
+            );
+        }
         
-        res.json({ success: true, message: 'Chapter deleted successfully' });
+        res.json({ success: true, alreadyReported: result.upsertedCount === 0 });
     } catch (error) {
-        console.error('Error deleting chapter:', error);
-        res.status(500).json({ error: 'Failed to delete chapter' });
+        console.error('Error reporting comment:', error);
+        res.status(500).json({ error: 'Failed to report comment' });
     }
 });
 
-// Delete manga/novel
-app.delete('/api/manga/:id', async (req, res) => {
+// Moderation queue: reported comments (most reports first), hidden ones, or all of them (newest first)
+app.get('/api/admin/comments', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        // Delete the content
-        const contentResult = await db.collection('content').deleteOne({ id: parseInt(req.params.id) });
-        
-        if (contentResult.deletedCount === 0) {
-            return res.status(404).json({ error: 'Content not found' });
+        const view = req.query.status || 'reported';
+        if (!MODERATION_FILTERS.includes(view)) {
+            return res.status(400).json({ error: `status must be one of: ${MODERATION_FILTERS.join(', ')}` });
         }
         
-        // Delete associated chapters
-        await db.collection('chapters').deleteMany({ contentId: parseInt(req.params.id) });
+        const filter = {
+            reported: { openReports: { $gt: 0 }, status: { $ne: 'removed' } },
+            hidden: { status: 'hidden' },
+            all: { status: { $ne: 'removed' } }
+        }[view];
+        const sort = view === 'reported' ? { openReports: -1, last_reported_at: -1 } : { created_at: -1 };
+        
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const total = await db.collection('comments').countDocuments(filter);
+        const totalPages = Math.ceil(total / limit);
+        const comments = await db.collection('comments')
+            .find(filter)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
         
-        res.json({ success: true, message: 'Content and associated chapters deleted successfully' });
+        // Where each comment was posted, who wrote it and why it was reported
+        const contents = await db.collection('content')
+            .find({ id: { $in: comments.map(comment => comment.contentId) } }, { projection: { id: 1, title: 1, deleted_at: 1 } })
+            .toArray();
+        const chapters = comments.length > 0
+            ? await db.collection('chapters')
+                .find(
+                    { $or: comments.map(comment => ({ contentId: comment.contentId, chapterId: comment.chapterId })) },
+                    { projection: { contentId: 1, chapterId: 1, title: 1, deleted_at: 1 } }
+                )
+                .toArray()
+            : [];
+        const authors = await db.collection('users')
+            .find({ id: { $in: comments.map(comment => comment.userId) } }, { projection: { id: 1, banned_at: 1 } })
+            .toArray();
+        const reports = await db.collection('comment_reports')
+            .find({ commentId: { $in: comments.map(comment => comment.id) }, resolved_at: { $exists: false } })
+            .toArray();
+        const contentById = new Map(contents.map(content => [content.id, content]));
+        const chapterByKey = new Map(chapters.map(chapter => [`${chapter.contentId}/${chapter.chapterId}`, chapter]));
+        const bannedIds = new Set(authors.filter(author => author.banned_at).map(author => author.id));
+        
+        res.json({
+            items: comments.map(comment => {
+                const content = contentById.get(comment.contentId);
+                const chapter = chapterByKey.get(`${comment.contentId}/${comment.chapterId}`);
+                const reasons = {};
+                reports.filter(report => report.commentId === comment.id).forEach(report => {
+                    reasons[report.reason] = (reasons[report.reason] || 0) + 1;
+                });
+                return {
+                    ...formatModeratedComment(comment),
+                    contentTitle: content ? content.title : null,
+                    chapterTitle: chapter ? chapter.title : null,
+                    trashed: !content || !chapter || !!content.deleted_at || !!chapter.deleted_at,
+                    authorBanned: bannedIds.has(comment.userId),
+                    reportReasons: reasons
+                };
+            }),
+            total,
+            page,
+            limit,
+            totalPages,
+            next: page < totalPages ? pageLink(req, { page: page + 1 }) : null,
+            prev: page > 1 ? pageLink(req, { page: page - 1 }) : null
+        });
     } catch (error) {
-        console.error('Error deleting content:', error);
-        res.status(500).json({ error: 'Failed to delete content' });
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ error: 'Failed to fetch comments' });
     }
 });
 
-// Get ads config
-app.get('/api/ads-config', async (req, res) => {
+// Hide a comment from readers (settles its reports)
+app.post('/api/admin/comments/:commentId/hide', requireRole('editor'), (req, res) => setCommentHidden(req, res, true));
+
+// Show a hidden comment again
+app.post('/api/admin/comments/:commentId/unhide', requireRole('editor'), (req, res) => setCommentHidden(req, res, false));
+
+async function setCommentHidden(req, res, hidden) {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const adsConfig = await db.collection('ads_config').findOne({ id: 1 });
-        if (!adsConfig) {
-            // Return default config if none exists
-            return res.json({
-                enabled: true,
-                adUnits: {
-                    BANNER: 'ca-app-pub-3940256099942544/6300978111',
-                    INTERSTITIAL: 'ca-app-pub-3940256099942544/1033173712',
-                    REWARDED: 'ca-app-pub-3940256099942544/5224354917'
-                },
-                adFrequency: {
-                    TAB_SWITCH: 0.3,
-                    SCROLL_THRESHOLD: 1500,
-                    INTERSTITIAL_COOLDOWN: 120000
+        const comment = await db.collection('comments').findOne({ id: req.params.commentId, status: { $ne: 'removed' } });
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        
+        const status = hidden ? 'hidden' : 'visible';
+        await db.collection('comments').updateOne(
+            { id: comment.id },
+            {
+                $set: {
+                    status,
+                    updated_at: new Date().toISOString(),
+                    ...(hidden && { hiddenBy: { id: req.user.id, email: req.user.email } })
                 },
-                rewardAdTimeout: 30000,
-                chapterLockDuration: 600000, // 10 minutes
-                debugMode: false
-            });
+                ...(!hidden && { $unset: { hiddenBy: '' } })
+            }
+        );
+        if (hidden) {
+            await resolveReports(comment, 'hidden', req.user);
         }
-        res.json(adsConfig.config);
+        
+        auditChange(req, auditTarget('comment', comment.id), { status: comment.status }, { status });
+        res.json({ success: true, status });
     } catch (error) {
-        console.error('Error fetching ads config:', error);
-        res.status(500).json({ error: 'Failed to fetch ads config' });
+        console.error('Error moderating comment:', error);
+        res.status(500).json({ error: 'Failed to moderate comment' });
     }
-});
+}
 
-// Update ads config
-app.post('/api/ads-config', async (req, res) => {
+// Close a comment's reports without acting on it
+app.post('/api/admin/comments/:commentId/dismiss', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const config = req.body;
-        
-        await db.collection('ads_config').updateOne(
-            { id: 1 },
-            { $set: { config: config, updated_at: new Date().toISOString() } },
-            { upsert: true }
-        );
+        const comment = await db.collection('comments').findOne({ id: req.params.commentId });
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
         
-        res.json({ success: true, message: 'Ads config updated successfully' });
+        await resolveReports(comment, 'dismissed', req.user);
+        auditChange(req, auditTarget('comment', comment.id), { openReports: comment.openReports }, { openReports: 0 });
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error updating ads config:', error);
-        res.status(500).json({ error: 'Failed to update ads config' });
+        console.error('Error dismissing reports:', error);
+        res.status(500).json({ error: 'Failed to dismiss reports' });
     }
 });
 
-// Create guest user
-app.post('/api/guest-user', async (req, res) => {
+// Delete a comment as a moderator (blanked instead while it has replies)
+app.delete('/api/admin/comments/:commentId', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        // Generate unique guest ID
-        const guestId = 'guest_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        
-        const guestUser = {
-            id: guestId,
-            type: 'guest',
-            created_at: new Date().toISOString(),
-            last_seen: new Date().toISOString()
-        };
+        const comment = await db.collection('comments').findOne({ id: req.params.commentId, status: { $ne: 'removed' } });
+        if (!comment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
         
-        await db.collection('users').insertOne(guestUser);
-        res.json({ user: guestUser });
+        const action = await removeComment(comment, 'deleted', req.user);
+        auditChange(req, auditTarget('comment', comment.id), { body: comment.body, status: comment.status }, { status: action });
+        res.json({ success: true, action });
     } catch (error) {
-        console.error('Error creating guest user:', error);
-        res.status(500).json({ error: 'Failed to create guest user' });
+        console.error('Error deleting comment:', error);
+        res.status(500).json({ error: 'Failed to delete comment' });
     }
 });
 
-// Get all users (admin only)
-app.get('/api/users', async (req, res) => {
-    try {
-        if (!db) {
-            return res.status(503).json({ error: 'Database not available' });
+// Analytics
+//
+// Readers send batches of events (title views, chapter opens, ad impressions) with ids of their own,
+// so a batch can be retried without double counting. Unlocks are recorded by the server itself.
+
+const CLIENT_EVENT_TYPES = ['title_view', 'chapter_open', 'ad_impression'];
+const AD_FORMATS = ['rewarded', 'interstitial', 'banner'];
+const EVENT_BATCH_LIMIT = 100;
+// Queued events may arrive late (offline readers), but not from the future
+const EVENT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const EVENT_CLOCK_SKEW = 5 * 60 * 1000;
+const EVENT_RETENTION = parseInt(process.env.ANALYTICS_RETENTION_MS) || 180 * 24 * 60 * 60 * 1000;
+// Events each user, and each IP (which may be many readers behind one NAT), may send per window;
+// counted in memory and reset for everyone when the window rolls over
+const EVENT_RATE_WINDOW = 60 * 1000;
+const EVENT_RATE_LIMIT = parseInt(process.env.EVENT_RATE_LIMIT) || 300;
+const EVENT_IP_RATE_LIMIT = parseInt(process.env.EVENT_IP_RATE_LIMIT) || 3000;
+const eventRates = new Map();
+let eventRateWindowStart = 0;
+
+// Trending counts each reader once per title per day over the window, so refreshing doesn't inflate it
+const TRENDING_WINDOW = parseInt(process.env.TRENDING_WINDOW_MS) || 7 * 24 * 60 * 60 * 1000;
+const TRENDING_REFRESH = 10 * 60 * 1000;
+const TRENDING_SIZE = 100;
+const TRENDING_TYPES = ['manga', 'novel'];
+
+function isGuestId(userId) {
+    return String(userId).startsWith('guest_');
+}
+
+function eventDocument(fields, occurredAt) {
+    return {
+        ...fields,
+        guest: isGuestId(fields.userId),
+        occurredAt,
+        day: occurredAt.toISOString().slice(0, 10),
+        receivedAt: new Date()
+    };
+}
+
+// Validate one client event; ids are scoped to the user so they can't collide with anyone else's
+function normalizeEvent(input, userId, now) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'event must be an object' };
+    }
+    if (typeof input.id !== 'string' || input.id.length < 8 || input.id.length > 100) {
+        return { error: 'id must be a string of 8 to 100 characters' };
+    }
+    if (!CLIENT_EVENT_TYPES.includes(input.type)) {
+        return { error: `type must be one of: ${CLIENT_EVENT_TYPES.join(', ')}` };
+    }
+    
+    const fields = { eventId: `${userId}:${input.id}`, type: input.type, userId };
+    
+    if (input.contentId !== undefined && input.contentId !== null) {
+        if (!Number.isInteger(input.contentId)) {
+            return { error: 'contentId must be an integer' };
         }
-        
-        const users = await db.collection('users').find({}).toArray();
-        res.json(users);
+        fields.contentId = input.contentId;
+    } else if (input.type !== 'ad_impression') {
+        return { error: `${input.type} needs a contentId` };
+    }
+    
+    if (input.chapterId !== undefined && input.chapterId !== null) {
+        fields.chapterId = String(input.chapterId);
+    } else if (input.type === 'chapter_open') {
+        return { error: 'chapter_open needs a chapterId' };
+    }
+    
+    if (input.type === 'ad_impression') {
+        if (!AD_FORMATS.includes(input.format)) {
+            return { error: `format must be one of: ${AD_FORMATS.join(', ')}` };
+        }
+        fields.format = input.format;
+    }
+    
+    const occurredAt = input.ts === undefined ? now : new Date(input.ts);
+    if (isNaN(occurredAt.getTime())) {
+        return { error: 'ts must be a timestamp' };
+    }
+    if (occurredAt > new Date(now.getTime() + EVENT_CLOCK_SKEW) || occurredAt < new Date(now.getTime() - EVENT_MAX_AGE)) {
+        return { error: 'ts is out of range' };
+    }
+    
+    return { event: eventDocument(fields, occurredAt) };
+}
+
+// Insert events, skipping ids already stored; returns how many were new
+async function insertEvents(events) {
+    if (events.length === 0) {
+        return 0;
+    }
+    
+    try {
+        const result = await db.collection('events').insertMany(events, { ordered: false });
+        return result.insertedCount;
     } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({ error: 'Failed to fetch users' });
+        const writeErrors = [].concat(error.writeErrors || []);
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+            throw error;
+        }
+        return events.length - writeErrors.length;
     }
-});
+}
 
-// Delete user
-app.delete('/api/users/:id', async (req, res) => {
+// Events the server witnesses itself (unlocks); analytics never hold up the request that caused them
+function recordServerEvent(fields) {
+    Promise.resolve()
+        .then(() => insertEvents([eventDocument({ ...fields, userId: String(fields.userId) }, new Date())]))
+        .catch(error => console.error('Error recording analytics event:', error));
+}
+
+// Count a batch against each allowance ({ key: limit }) for the current window; false, counting nothing,
+// once any of them would go over
+function takeEventQuota(limits, count, now) {
+    if (now - eventRateWindowStart >= EVENT_RATE_WINDOW) {
+        eventRates.clear();
+        eventRateWindowStart = now;
+    }
+    
+    const keys = Object.keys(limits);
+    if (keys.some(key => (eventRates.get(key) || 0) + count > limits[key])) {
+        return false;
+    }
+    keys.forEach(key => eventRates.set(key, (eventRates.get(key) || 0) + count));
+    return true;
+}
+
+// Ingest a batch of reader events (signed in, or as a guest): { userId, events: [{ id, type, contentId, chapterId, format, ts }] }
+app.post('/api/events', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const result = await db.collection('users').deleteOne({ id: req.params.id });
+        if (!Array.isArray(req.body.events) || req.body.events.length === 0) {
+            return res.status(400).json({ error: 'events must be a non-empty array' });
+        }
+        if (req.body.events.length > EVENT_BATCH_LIMIT) {
+            return res.status(400).json({ error: `At most ${EVENT_BATCH_LIMIT} events per batch` });
+        }
         
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: 'User not found' });
+        // Accounts report through their session, guests by their id, as for votes and comments
+        const user = await findReader(req);
+        if (!user) {
+            return res.status(401).json({ error: 'Sign in, or send a guest userId' });
         }
+        const userId = user.id;
+        
+        // New guest ids are free to make, so the IP is limited too
+        const now = new Date();
+        const limits = { [`user:${userId}`]: EVENT_RATE_LIMIT, [`ip:${req.ip}`]: EVENT_IP_RATE_LIMIT };
+        if (!takeEventQuota(limits, req.body.events.length, now.getTime())) {
+            res.set('Retry-After', String(Math.ceil((eventRateWindowStart + EVENT_RATE_WINDOW - now.getTime()) / 1000)));
+            return res.status(429).json({ error: 'Too many events; try again shortly' });
+        }
+        
+        // Invalid events are reported back; the rest of the batch is still stored
+        const normalized = req.body.events.map(input => normalizeEvent(input, userId, now));
+        const contentIds = [...new Set(normalized.filter(result => result.event && result.event.contentId !== undefined).map(result => result.event.contentId))];
+        const knownContent = new Set(contentIds.length === 0 ? [] : await db.collection('content')
+            .distinct('id', { id: { $in: contentIds }, ...NOT_TRASHED }));
+        
+        const events = [];
+        const rejected = [];
+        normalized.forEach(({ event, error }, index) => {
+            const input = req.body.events[index];
+            if (!error && event.contentId !== undefined && !knownContent.has(event.contentId)) {
+                error = 'unknown contentId';
+            }
+            if (error) {
+                rejected.push({ index, id: input && input.id, error });
+            } else {
+                events.push(event);
+            }
+        });
         
-        res.json({ success: true, message: 'User deleted successfully' });
+        const accepted = await insertEvents(events);
+        res.json({ success: true, accepted, duplicates: events.length - accepted, rejected });
     } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({ error: 'Failed to delete user' });
+        console.error('Error ingesting events:', error);
+        res.status(500).json({ error: 'Failed to record events' });
     }
 });
 
-// Chapter lock management endpoints
+// Reporting period from ?days= (default 30, at most a year), ending now
+function analyticsRange(query) {
+    const days = Math.min(Math.max(parseInt(query.days) || 30, 1), 365);
+    const until = new Date();
+    const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+    return { days, since, until, match: { occurredAt: { $gte: since, $lte: until } } };
+}
 
-// Check if chapter is unlocked
-app.get('/api/check-unlock/:userId/:contentId/:chapterId', async (req, res) => {
+function ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+// Daily active guests and readers, event totals and how often rewarded ads turn into unlocks
+app.get('/api/analytics/overview', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { userId, contentId, chapterId } = req.params;
+        const { days, since, until, match } = analyticsRange(req.query);
+        const [result] = await db.collection('events').aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    active: [
+                        { $group: { _id: { day: '$day', userId: '$userId' }, guest: { $first: '$guest' } } },
+                        {
+                            $group: {
+                                _id: '$_id.day',
+                                guests: { $sum: { $cond: ['$guest', 1, 0] } },
+                                readers: { $sum: { $cond: ['$guest', 0, 1] } }
+                            }
+                        },
+                        { $sort: { _id: 1 } }
+                    ],
+                    totals: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+                    conversion: [
+                        { $match: { $or: [{ type: 'ad_impression', format: 'rewarded' }, { type: 'chapter_unlock', source: 'ad' }] } },
+                        {
+                            $group: {
+                                _id: '$day',
+                                impressions: { $sum: { $cond: [{ $eq: ['$type', 'ad_impression'] }, 1, 0] } },
+                                unlocks: { $sum: { $cond: [{ $eq: ['$type', 'chapter_unlock'] }, 1, 0] } }
+                            }
+                        },
+                        { $sort: { _id: 1 } }
+                    ]
+                }
+            }
+        ]).toArray();
+        
+        const totals = Object.fromEntries(result.totals.map(total => [total._id, total.count]));
+        const impressions = result.conversion.reduce((sum, day) => sum + day.impressions, 0);
+        const unlocks = result.conversion.reduce((sum, day) => sum + day.unlocks, 0);
         
-        const lock = await db.collection('chapter_locks').findOne({
-            userId,
-            contentId: parseInt(contentId),
-            chapterId,
-            expiresAt: { $gt: new Date() }
+        res.json({
+            days,
+            since: since.toISOString(),
+            until: until.toISOString(),
+            dailyActive: result.active.map(day => ({ day: day._id, guests: day.guests, readers: day.readers, total: day.guests + day.readers })),
+            totals,
+            unlockConversion: {
+                rewardedImpressions: impressions,
+                adUnlocks: unlocks,
+                rate: ratio(unlocks, impressions),
+                daily: result.conversion.map(day => ({ day: day._id, impressions: day.impressions, unlocks: day.unlocks, rate: ratio(day.unlocks, day.impressions) }))
+            }
         });
-        
-        res.json({ unlocked: !!lock });
     } catch (error) {
-        console.error('Error checking chapter lock:', error);
-        res.status(500).json({ error: 'Failed to check chapter lock' });
+        console.error('Error fetching analytics overview:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
     }
 });
 
-// Unlock chapter
-app.post('/api/unlock-chapter', async (req, res) => {
+// Most viewed titles with unique viewers and chapter opens
+app.get('/api/analytics/titles', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { userId, contentId, chapterId } = req.body;
-        
-        if (!userId || !contentId || !chapterId) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-        
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
+        const { days, match } = analyticsRange(req.query);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
         
-        await db.collection('chapter_locks').updateOne(
-            { userId, contentId: parseInt(contentId), chapterId },
-            { 
-                $set: { 
-                    unlockedAt: new Date(),
-                    expiresAt: expiresAt
-                } 
+        const stats = await db.collection('events').aggregate([
+            { $match: { ...match, type: { $in: ['title_view', 'chapter_open'] } } },
+            {
+                $group: {
+                    _id: '$contentId',
+                    views: { $sum: { $cond: [{ $eq: ['$type', 'title_view'] }, 1, 0] } },
+                    chapterOpens: { $sum: { $cond: [{ $eq: ['$type', 'chapter_open'] }, 1, 0] } },
+                    viewers: { $addToSet: '$userId' }
+                }
             },
-            { upsert: true }
-        );
+            { $project: { views: 1, chapterOpens: 1, uniqueViewers: { $size: '$viewers' } } },
+            { $sort: { views: -1, chapterOpens: -1 } },
+            { $limit: limit }
+        ]).toArray();
         
-        // Update user last seen
-        await db.collection('users').updateOne(
-            { id: userId },
-            { $set: { last_seen: new Date().toISOString() } }
-        );
+        const titles = await db.collection('content')
+            .find({ id: { $in: stats.map(stat => stat._id) } })
+            .project({ _id: 0, id: 1, slug: 1, title: 1, type: 1 })
+            .toArray();
+        const titleById = new Map(titles.map(title => [title.id, title]));
         
-        res.json({ 
-            success: true, 
-            message: 'Chapter unlocked successfully',
-            expiresAt: expiresAt.toISOString()
+        res.json({
+            days,
+            items: stats.map(stat => ({
+                contentId: stat._id,
+                ...(titleById.get(stat._id) || { title: null }),
+                views: stat.views,
+                uniqueViewers: stat.uniqueViewers,
+                chapterOpens: stat.chapterOpens
+            }))
         });
     } catch (error) {
-        console.error('Error unlocking chapter:', error);
-        res.status(500).json({ error: 'Failed to unlock chapter' });
+        console.error('Error fetching title analytics:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
     }
 });
 
-// Refresh all chapter locks (reset all locks)
-app.post('/api/refresh-chapter-locks', async (req, res) => {
+// Views per chapter of one title, in reading order, with how many readers each chapter loses
+app.get('/api/analytics/titles/:id', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        // Delete all chapter locks
-        const result = await db.collection('chapter_locks').deleteMany({});
+        const { content } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
         
-        res.json({ 
-            success: true, 
-            message: 'All chapter locks refreshed',
-            deletedCount: result.deletedCount
+        const { days, match } = analyticsRange(req.query);
+        const [result] = await db.collection('events').aggregate([
+            { $match: { ...match, contentId: content.id, type: { $in: ['title_view', 'chapter_open'] } } },
+            {
+                $facet: {
+                    title: [
+                        { $match: { type: 'title_view' } },
+                        { $group: { _id: null, views: { $sum: 1 }, viewers: { $addToSet: '$userId' } } },
+                        { $project: { views: 1, uniqueViewers: { $size: '$viewers' } } }
+                    ],
+                    chapters: [
+                        { $match: { type: 'chapter_open' } },
+                        { $group: { _id: '$chapterId', opens: { $sum: 1 }, readers: { $addToSet: '$userId' } } },
+                        { $project: { opens: 1, readers: { $size: '$readers' } } }
+                    ]
+                }
+            }
+        ]).toArray();
+        
+        const statsByChapter = new Map(result.chapters.map(stat => [stat._id, stat]));
+        const chapters = await listChapters(content.id, CHAPTER_SUMMARY_FIELDS, { includeUnpublished: true });
+        
+        // Drop-off is the share of the previous chapter's readers who did not open this one
+        let firstReaders = null;
+        let previousReaders = null;
+        const chapterStats = chapters.map(chapter => {
+            const stat = statsByChapter.get(chapter.chapterId) || { opens: 0, readers: 0 };
+            if (firstReaders === null) {
+                firstReaders = stat.readers;
+            }
+            const row = {
+                chapterId: chapter.chapterId,
+                number: chapter.number,
+                title: chapter.title,
+                opens: stat.opens,
+                readers: stat.readers,
+                retention: ratio(stat.readers, firstReaders),
+                dropOff: previousReaders === null ? null : ratio(Math.max(previousReaders - stat.readers, 0), previousReaders)
+            };
+            previousReaders = stat.readers;
+            return row;
+        });
+        
+        const title = result.title[0] || { views: 0, uniqueViewers: 0 };
+        res.json({
+            days,
+            contentId: content.id,
+            slug: content.slug,
+            title: content.title,
+            views: title.views,
+            uniqueViewers: title.uniqueViewers,
+            chapters: chapterStats
         });
     } catch (error) {
-        console.error('Error refreshing chapter locks:', error);
-        res.status(500).json({ error: 'Failed to refresh chapter locks' });
+        console.error('Error fetching title analytics:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
     }
 });
 
-// Get chapter lock status for user
-app.get('/api/user-locks/:userId', async (req, res) => {
+// Score titles by reader-days over the trending window and keep the result as a snapshot
+async function computeTrending() {
+    const since = new Date(Date.now() - TRENDING_WINDOW);
+    const scores = await db.collection('events').aggregate([
+        { $match: { type: { $in: ['title_view', 'chapter_open'] }, occurredAt: { $gte: since } } },
+        { $group: { _id: { contentId: '$contentId', userId: '$userId', day: '$day' }, views: { $sum: 1 } } },
+        { $group: { _id: '$_id.contentId', score: { $sum: 1 }, views: { $sum: '$views' } } },
+        { $sort: { score: -1, views: -1 } },
+        { $limit: TRENDING_SIZE }
+    ]).toArray();
+    
+    const snapshot = {
+        items: scores.map(score => ({ contentId: score._id, score: score.score, views: score.views })),
+        window: TRENDING_WINDOW,
+        computedAt: new Date()
+    };
+    await db.collection('analytics_snapshots').updateOne({ id: 'trending' }, { $set: snapshot }, { upsert: true });
+    return snapshot;
+}
+
+// Trending titles from real reader activity (recomputed in the background)
+app.get('/api/trending', async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const locks = await db.collection('chapter_locks').find({
-            userId: req.params.userId,
-            expiresAt: { $gt: new Date() }
-        }).toArray();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), TRENDING_SIZE);
+        if (req.query.type !== undefined && !TRENDING_TYPES.includes(req.query.type)) {
+            return res.status(400).json({ error: `type must be one of: ${TRENDING_TYPES.join(', ')}` });
+        }
+        const { userId, error } = queryUser(req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
-        res.json(locks);
+        // The job keeps the snapshot fresh; compute it here only when there is none yet or the job stalled
+        let snapshot = await db.collection('analytics_snapshots').findOne({ id: 'trending' });
+        if (!snapshot || Date.now() - snapshot.computedAt.getTime() > 2 * TRENDING_REFRESH) {
+            snapshot = await computeTrending();
+        }
+        
+        const filter = { id: { $in: snapshot.items.map(item => item.contentId) }, ...NOT_TRASHED };
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+        const projection = Object.fromEntries([['_id', 0], ...CARD_FIELDS.map(field => [field, 1])]);
+        const content = await db.collection('content').find(filter).project(projection).toArray();
+        shortenCardDescriptions(content);
+        const contentById = new Map(content.map(item => [item.id, item]));
+        
+        const items = snapshot.items
+            .filter(item => contentById.has(item.contentId))
+            .slice(0, limit)
+            .map(item => ({ ...contentById.get(item.contentId), trending: { score: item.score, views: item.views } }));
+        
+        res.json({
+            window: snapshot.window,
+            computedAt: snapshot.computedAt.toISOString(),
+            items: await annotateLibrary(items, userId)
+        });
     } catch (error) {
-        console.error('Error fetching user locks:', error);
-        res.status(500).json({ error: 'Failed to fetch user locks' });
+        console.error('Error fetching trending:', error);
+        res.status(500).json({ error: 'Failed to fetch trending' });
     }
 });
 
@@ -617,41 +6338,36 @@ app.post('/ads-complete', async (req, res) => {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { userId, manga, chapterId } = req.body;
+        const { intentId } = req.body;
         
-        if (!userId || !manga || !chapterId) {
+        if (!intentId) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
         
-        // Unlock the chapter for 10 minutes
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
-        
-        await db.collection('chapter_locks').updateOne(
-            { userId, contentId: manga, chapterId },
-            { 
-                $set: { 
-                    unlockedAt: new Date(),
-                    expiresAt: expiresAt
-                } 
-            },
-            { upsert: true }
-        );
+        // Completing the ad on the client no longer unlocks anything; the verified callback does
+        const intent = await db.collection('unlock_intents').findOne({ _id: intentId });
+        if (!intent) {
+            return res.status(404).json({ error: 'Unlock intent not found' });
+        }
         
-        // Update user last seen
-        await db.collection('users').updateOne(
-            { id: userId },
-            { $set: { last_seen: new Date().toISOString() } }
-        );
+        if (intent.status !== 'completed') {
+            return res.status(202).json({ success: false, status: intent.status, message: 'Waiting for ad verification' });
+        }
         
-        res.json({ success: true, message: 'Ad completed and chapter unlocked' });
+        res.json({
+            success: true,
+            message: 'Ad completed and chapter unlocked',
+            expiresAt: intent.unlockExpiresAt,
+            chapterIds: intent.unlockedChapterIds || [intent.chapterId]
+        });
     } catch (error) {
         console.error('Error in ad completion:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Direct chapter access (for unlocked chapters)
-app.get('/direct-chapter/:manga/:chapterId', async (req, res) => {
+// Direct chapter access without the lock check (staff previews; readers use /chapter)
+app.get('/direct-chapter/:manga/:chapterId', requireRole('editor'), async (req, res) => {
     try {
         if (!db) {
             return res.status(503).json({ error: 'Database not available' });
@@ -659,17 +6375,30 @@ app.get('/direct-chapter/:manga/:chapterId', async (req, res) => {
         
         const { manga, chapterId } = req.params;
         
-        // Find the chapter data using normalized title
+        const { content, canonical } = await resolveContent(manga);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, manga, content);
+        }
+        
         const chapter = await db.collection('chapters').findOne({
-            normalizedTitle: manga,
-            chapterId: chapterId
+            contentId: content.id,
+            chapterId: chapterId,
+            ...NOT_TRASHED
         });
         
         if (chapter) {
+            const chapters = await listChapters(content.id, CHAPTER_SUMMARY_FIELDS, { includeUnpublished: true });
             res.json({
                 title: chapter.title,
+                number: chapter.number,
+                volume: chapter.volume,
+                ...publicationFields(chapter),
                 pages: chapter.pages || [],
-                content: chapter.content || null
+                content: chapter.content || null,
+                navigation: chapterNavigation(content, chapters, chapter.chapterId)
             });
         } else {
             res.status(404).json({ error: 'Chapter not found' });
@@ -688,31 +6417,54 @@ app.get('/chapter/:manga/:chapterId', async (req, res) => {
         }
         
         const { manga, chapterId } = req.params;
-        const userId = req.query.user || 'guest';
+        const user = queryUser(req);
+        if (user.error) {
+            return res.status(400).json({ error: user.error });
+        }
+        const userId = user.userId || 'guest';
         
-        // Check if the chapter is unlocked for this user
-        const unlockRecord = await db.collection('chapter_locks').findOne({
-            userId,
-            contentId: manga,
-            chapterId,
-            expiresAt: { $gt: new Date() }
-        });
+        const { content, canonical } = await resolveContent(manga);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, manga, content);
+        }
         
-        if (!unlockRecord) {
-            return res.status(402).json({ error: 'Chapter locked. Please watch an ad to unlock.' });
+        // Check the title's lock policy and this user's unlocks
+        const access = await getChapterAccess(userId, content, chapterId);
+        if (access && access.state === 'early-access') {
+            return res.status(403).json({ error: 'Chapter is in early access.', access });
+        }
+        if (access && !isReadable(access)) {
+            return res.status(402).json({ error: 'Chapter locked. Please watch an ad to unlock.', access });
         }
         
-        // Find the chapter data
+        // Find the chapter data (drafts and scheduled chapters are not out yet)
         const chapter = await db.collection('chapters').findOne({
-            normalizedTitle: manga,
-            chapterId: chapterId
+            contentId: content.id,
+            chapterId: chapterId,
+            ...PUBLISHED_CHAPTERS,
+            ...NOT_TRASHED
         });
         
         if (chapter) {
+            const chapters = await listChapters(content.id, CHAPTER_SUMMARY_FIELDS);
+            const like = userId === 'guest' ? null : await db.collection('chapter_likes').findOne({
+                contentId: content.id,
+                chapterId: chapter.chapterId,
+                userId: String(userId)
+            });
             res.json({
+                chapterId: chapter.chapterId,
                 title: chapter.title,
+                number: chapter.number,
+                volume: chapter.volume,
                 pages: chapter.pages || [],
-                content: chapter.content || null
+                content: chapter.content || null,
+                likes: chapter.likes || 0,
+                liked: !!like,
+                navigation: chapterNavigation(content, chapters, chapter.chapterId)
             });
         } else {
             res.status(404).json({ error: 'Chapter not found' });
@@ -723,6 +6475,448 @@ app.get('/chapter/:manga/:chapterId', async (req, res) => {
     }
 });
 
+// Offline export of a chapter range (EPUB for novels, CBZ for manga)
+
+const EXPORT_MAX_CHAPTERS = 100;
+const IMAGE_EXTENSIONS = Object.fromEntries(
+    Object.entries(IMAGE_TYPES).filter(([ext]) => ext !== '.jpeg').map(([ext, type]) => [type, ext])
+);
+
+// Fetch image bytes for a stored page/cover URL (our own uploads or an external http(s) URL)
+async function loadImage(url) {
+    try {
+        const uploadMatch = String(url || '').match(/^(?:https?:\/\/[^/]+)?\/api\/image\/([a-f0-9]{24})$/i);
+        if (uploadMatch) {
+            return await readUpload(new ObjectId(uploadMatch[1]));
+        }
+        
+        if (/^https?:\/\//i.test(url)) {
+            const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+            if (!response.ok) {
+                return null;
+            }
+            return {
+                data: Buffer.from(await response.arrayBuffer()),
+                contentType: (response.headers.get('content-type') || '').split(';')[0]
+            };
+        }
+    } catch (error) {
+        console.warn(`Could not load image ${url}:`, error.message);
+    }
+    
+    return null;
+}
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Chapter content as well-formed XHTML; plain text is split into paragraphs
+function chapterXhtml(content) {
+    if (!/<[a-z][\s\S]*>/i.test(content || '')) {
+        return String(content || '')
+            .split(/\n\s*\n/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${escapeXml(paragraph.trim()).replace(/\n/g, '<br />')}</p>`)
+            .join('\n');
+    }
+    
+    return sanitizeHtml(content, {
+        allowedTags: EPUB_ALLOWED_TAGS,
+        allowedAttributes: { a: ['href'], img: ['src', 'alt'] },
+        selfClosing: ['img', 'br', 'hr']
+    });
+}
+
+async function buildCbz(content, chapters) {
+    const zip = new AdmZip();
+    const errors = [];
+    
+    for (const chapter of chapters) {
+        const folder = `${String(chapter.chapterId).padStart(4, '0')} - ${chapter.title}`.replace(/[\\/:*?"<>|]/g, '_');
+        const pages = chapter.pages || [];
+        
+        for (const [index, pageUrl] of pages.entries()) {
+            const image = await loadImage(pageUrl);
+            if (!image) {
+                errors.push(`${chapter.chapterId}/${index + 1}`);
+                continue;
+            }
+            const extension = IMAGE_EXTENSIONS[image.contentType] || path.extname(new URL(pageUrl, 'http://local').pathname) || '.jpg';
+            zip.addFile(`${folder}/${String(index + 1).padStart(3, '0')}${extension}`, image.data);
+        }
+    }
+    
+    return { buffer: zip.toBuffer(), errors };
+}
+
+async function buildEpub(content, chapters) {
+    const zip = new AdmZip({ noSort: true });
+    const errors = [];
+    const images = new Map();
+    
+    // Copy an image into the book once and return its path relative to the text files
+    const addImage = async url => {
+        if (!images.has(url)) {
+            const image = await loadImage(url);
+            if (!image) {
+                errors.push(url);
+                images.set(url, null);
+            } else {
+                const file = `images/image-${images.size + 1}${IMAGE_EXTENSIONS[image.contentType] || '.jpg'}`;
+                zip.addFile(`OEBPS/${file}`, image.data);
+                images.set(url, { file, contentType: image.contentType || 'image/jpeg' });
+            }
+        }
+        return images.get(url);
+    };
+    
+    // The mimetype entry must come first and be stored uncompressed
+    zip.addFile('mimetype', Buffer.from('application/epub+zip'));
+    zip.getEntry('mimetype').header.method = 0;
+    zip.addFile('META-INF/container.xml', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+        '  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>\n' +
+        '</container>\n'
+    ));
+    
+    const cover = content.cover ? await addImage(content.cover) : null;
+    const xhtmlPage = (title, body) =>
+        '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n' +
+        '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">\n' +
+        `<head><title>${escapeXml(title)}</title></head>\n<body>\n${body}\n</body>\n</html>\n`;
+    
+    const chapterFiles = [];
+    for (const [index, chapter] of chapters.entries()) {
+        let body = chapterXhtml(chapter.content);
+        
+        // Point embedded images at their copies inside the book
+        const sources = [...new Set([...body.matchAll(/<img\b[^>]*\bsrc="([^"]+)"/g)].map(match => match[1]))];
+        for (const source of sources) {
+            const image = await addImage(source.replace(/&amp;/g, '&'));
+            body = image
+                ? body.split(`src="${source}"`).join(`src="../${image.file}"`)
+                : body.replace(new RegExp(`<img\\b[^>]*\\bsrc="${escapeRegex(source)}"[^>]*>`, 'g'), '');
+        }
+        
+        const file = `text/chapter-${index + 1}.xhtml`;
+        zip.addFile(`OEBPS/${file}`, Buffer.from(xhtmlPage(chapter.title, `<h2>${escapeXml(chapter.title)}</h2>\n${body}`)));
+        chapterFiles.push({ file, title: chapter.title });
+    }
+    
+    const tocItems = chapterFiles.map(chapter => `<li><a href="${chapter.file}">${escapeXml(chapter.title)}</a></li>`);
+    zip.addFile('OEBPS/nav.xhtml', Buffer.from(xhtmlPage('Contents',
+        `<nav epub:type="toc" id="toc"><h1>Contents</h1>\n<ol>\n${tocItems.join('\n')}\n</ol></nav>`)));
+    
+    zip.addFile('OEBPS/toc.ncx', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8"?>\n<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">\n' +
+        `<head><meta name="dtb:uid" content="urn:rovel:${content.id}"/></head>\n` +
+        `<docTitle><text>${escapeXml(content.title)}</text></docTitle>\n<navMap>\n` +
+        chapterFiles.map((chapter, index) =>
+            `<navPoint id="nav-${index + 1}" playOrder="${index + 1}"><navLabel><text>${escapeXml(chapter.title)}</text></navLabel><content src="${chapter.file}"/></navPoint>`
+        ).join('\n') +
+        '\n</navMap>\n</ncx>\n'
+    ));
+    
+    const imageItems = [...images.values()].filter(Boolean).map((image, index) =>
+        `<item id="image-${index + 1}" href="${image.file}" media-type="${image.contentType}"${cover && image.file === cover.file ? ' properties="cover-image"' : ''}/>`
+    );
+    zip.addFile('OEBPS/content.opf', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">\n' +
+        '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+        `<dc:identifier id="book-id">urn:rovel:${content.id}</dc:identifier>\n` +
+        `<dc:title>${escapeXml(content.title)}</dc:title>\n` +
+        `<dc:creator>${escapeXml(content.author || 'Unknown')}</dc:creator>\n` +
+        `<dc:language>en</dc:language>\n` +
+        (content.description ? `<dc:description>${escapeXml(content.description)}</dc:description>\n` : '') +
+        `<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>\n` +
+        '</metadata>\n<manifest>\n' +
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>\n' +
+        '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>\n' +
+        chapterFiles.map((chapter, index) => `<item id="chapter-${index + 1}" href="${chapter.file}" media-type="application/xhtml+xml"/>`).join('\n') + '\n' +
+        imageItems.join('\n') + '\n' +
+        '</manifest>\n<spine toc="ncx">\n' +
+        chapterFiles.map((chapter, index) => `<itemref idref="chapter-${index + 1}"/>`).join('\n') +
+        '\n</spine>\n</package>\n'
+    ));
+    
+    return { buffer: zip.toBuffer(), errors };
+}
+
+// Download a chapter range as EPUB (novels) or CBZ (manga); locked chapters are left out
+app.get('/api/manga/:id/export', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        const { content, canonical } = await resolveContent(req.params.id);
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+        if (!canonical) {
+            return redirectToCanonical(req, res, req.params.id, content);
+        }
+        
+        const format = String(req.query.format || (content.type === 'novel' ? 'epub' : 'cbz')).toLowerCase();
+        if (!['epub', 'cbz'].includes(format)) {
+            return res.status(400).json({ error: 'format must be epub or cbz' });
+        }
+        
+        const user = queryUser(req);
+        if (user.error) {
+            return res.status(400).json({ error: user.error });
+        }
+        const userId = user.userId || 'guest';
+        const { from, to } = req.query;
+        
+        // Range ends are chapter ids (or chapter numbers), compared by reading order; anything else is null
+        const allChapters = await listChapters(content.id);
+        const boundKey = (bound) => {
+            const chapter = allChapters.find(item => item.chapterId === String(bound));
+            if (chapter) {
+                return chapter.sortKey;
+            }
+            const number = typeof bound === 'string' && bound.trim() ? Number(bound) : NaN;
+            return Number.isFinite(number) ? number : null;
+        };
+        const fromKey = from ? boundKey(from) : -Infinity;
+        const toKey = to ? boundKey(to) : Infinity;
+        if (fromKey === null || toKey === null) {
+            return res.status(400).json({ error: 'from and to must be chapter ids or chapter numbers' });
+        }
+        const inRange = allChapters.filter(chapter => chapter.sortKey >= fromKey && chapter.sortKey <= toKey);
+        
+        if (inRange.length === 0) {
+            return res.status(404).json({ error: 'No chapters in range' });
+        }
+        const access = await getChapterAccessMap(userId, content);
+        const chapters = inRange.filter(chapter => isReadable(access.get(chapter.chapterId)));
+        const locked = inRange.filter(chapter => !isReadable(access.get(chapter.chapterId))).map(chapter => chapter.chapterId);
+        
+        if (chapters.length === 0) {
+            return res.status(402).json({ error: 'All chapters in range are locked. Please watch an ad to unlock.', locked });
+        }
+        if (chapters.length > EXPORT_MAX_CHAPTERS) {
+            return res.status(400).json({ error: `A single export is limited to ${EXPORT_MAX_CHAPTERS} chapters` });
+        }
+        
+        const { buffer, errors } = format === 'epub'
+            ? await buildEpub(content, chapters)
+            : await buildCbz(content, chapters);
+        
+        // Header values must be ASCII, so chapter ids are percent-encoded and the filename gets an ASCII fallback
+        const filename = `${content.slug}-${chapters[0].chapterId}-${chapters[chapters.length - 1].chapterId}.${format}`;
+        const asciiFilename = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        res.set({
+            'Content-Type': format === 'epub' ? 'application/epub+zip' : 'application/vnd.comicbook+zip',
+            'Content-Disposition': `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+            'X-Exported-Chapters': chapters.map(chapter => encodeURIComponent(chapter.chapterId)).join(','),
+            'X-Locked-Chapters': locked.map(chapterId => encodeURIComponent(chapterId)).join(','),
+            'X-Missing-Images': String(errors.length),
+            'Access-Control-Expose-Headers': 'Content-Disposition, X-Exported-Chapters, X-Locked-Chapters, X-Missing-Images'
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error exporting chapters:', error);
+        res.status(500).json({ error: 'Failed to export chapters' });
+    }
+});
+
+// Durable job scheduler: jobs are claimed with a lease, so a job whose instance dies is picked up again
+const JOB_LEASE = 5 * 60 * 1000;
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_RETENTION = 24 * 60 * 60 * 1000;
+
+// Simulated rewarded ads last this long before the stand-in network calls back
+const CHAPTER_TIMER_DURATION = 40 * 1000;
+
+const JOB_HANDLERS = {
+    'publish-scheduled-chapters': () => publishDueChapters(),
+    
+    'cleanup-chapter-locks': async () => {
+        const result = await db.collection('chapter_locks').deleteMany({
+            expiresAt: { $lt: new Date() }
+        });
+        
+        if (result.deletedCount > 0) {
+            console.log(`Auto-cleaned ${result.deletedCount} expired chapter locks`);
+        }
+        return { deleted: result.deletedCount };
+    },
+    
+    // Reclaim uploads no title or chapter uses any more
+    'sweep-orphan-uploads': async () => {
+        const report = await sweepOrphanUploads({ dryRun: false });
+        
+        if (report.orphans.length > 0) {
+            console.log(`Reclaimed ${report.orphans.length} orphaned uploads (${report.reclaimedBytes} bytes)`);
+        }
+        return { orphans: report.orphans.length, reclaimedBytes: report.reclaimedBytes };
+    },
+    
+    'purge-trash': () => purgeTrash(),
+    
+    'grant-ad-unlock': ({ intentId }) => grantAdUnlock(intentId),
+    
+    'compute-trending': async () => {
+        const { items } = await computeTrending();
+        return { titles: items.length };
+    },
+    
+    // Replays are rejected by the SSV endpoint itself, so running this twice is harmless
+    'deliver-stub-reward': async ({ customData, userId }) => {
+        const { status, body } = await deliverStubReward(customData, userId);
+        console.log(`Simulated ad reward for ${userId}: ${status} ${JSON.stringify(body)}`);
+        return { status, body };
+    }
+};
+
+const RECURRING_JOBS = [
+    { type: 'publish-scheduled-chapters', every: 30 * 1000 },
+    { type: 'cleanup-chapter-locks', every: 60 * 1000 },
+    { type: 'sweep-orphan-uploads', every: UPLOAD_GC_INTERVAL },
+    { type: 'purge-trash', every: 60 * 60 * 1000 },
+    { type: 'compute-trending', every: TRENDING_REFRESH }
+];
+
+// Returns the active job for `key`, creating it if there is none
+async function scheduleJob(type, key, payload, { runAt = new Date(), every } = {}) {
+    const now = new Date();
+    
+    try {
+        return await db.collection('jobs').findOneAndUpdate(
+            { key, active: true },
+            {
+                $setOnInsert: {
+                    _id: new ObjectId(),
+                    type,
+                    payload,
+                    status: 'scheduled',
+                    runAt,
+                    attempts: 0,
+                    createdAt: now
+                },
+                $set: { ...(every && { every }), updatedAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        );
+    } catch (error) {
+        // Another request or instance created it first
+        if (error.code === 11000) {
+            return db.collection('jobs').findOne({ key, active: true });
+        }
+        throw error;
+    }
+}
+
+async function claimDueJob() {
+    const now = new Date();
+    return db.collection('jobs').findOneAndUpdate(
+        {
+            active: true,
+            runAt: { $lte: now },
+            $or: [
+                { status: 'scheduled' },
+                { status: 'running', lockedUntil: { $lt: now } }
+            ]
+        },
+        {
+            $set: {
+                status: 'running',
+                lockedBy: INSTANCE_ID,
+                lockedUntil: new Date(now.getTime() + JOB_LEASE),
+                startedAt: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, returnDocument: 'after' }
+    );
+}
+
+async function runJob(job) {
+    const handler = JOB_HANDLERS[job.type];
+    const now = new Date();
+    let update;
+    
+    try {
+        if (!handler) {
+            throw new Error(`Unknown job type ${job.type}`);
+        }
+        const result = await handler(job.payload || {});
+        
+        update = job.every
+            ? { status: 'scheduled', runAt: new Date(now.getTime() + job.every), attempts: 0, lastResult: result, lastRunAt: now }
+            : { status: 'completed', result, finishedAt: now, purgeAt: new Date(now.getTime() + JOB_RETENTION) };
+    } catch (error) {
+        console.error(`Error running job ${job.type} (${job.key}):`, error);
+        
+        // Back off exponentially; recurring jobs just wait for their next run once retries are spent
+        const retry = job.attempts < JOB_MAX_ATTEMPTS;
+        if (retry || job.every) {
+            const delay = retry ? Math.pow(2, job.attempts) * 1000 : job.every;
+            update = { status: 'scheduled', runAt: new Date(now.getTime() + delay), lastError: error.message, ...(!retry && { attempts: 0 }) };
+        } else {
+            update = { status: 'failed', error: error.message, finishedAt: now, purgeAt: new Date(now.getTime() + JOB_RETENTION) };
+        }
+    }
+    
+    const finished = ['completed', 'failed'].includes(update.status);
+    await db.collection('jobs').updateOne(
+        { _id: job._id, lockedBy: INSTANCE_ID },
+        {
+            $set: { ...update, updatedAt: now },
+            $unset: { lockedBy: '', lockedUntil: '', ...(finished && { active: '' }) }
+        }
+    );
+}
+
+let jobPollRunning = false;
+
+async function pollJobs() {
+    if (!db || jobPollRunning) return;
+    jobPollRunning = true;
+    
+    try {
+        let job;
+        while ((job = await claimDueJob())) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('Error polling jobs:', error);
+    } finally {
+        jobPollRunning = false;
+    }
+}
+
+async function startJobScheduler() {
+    for (const { type, every } of RECURRING_JOBS) {
+        await scheduleJob(type, type, {}, { runAt: new Date(Date.now() + every), every });
+    }
+    
+    setInterval(pollJobs, JOB_POLL_INTERVAL);
+    pollJobs();
+}
+
+function formatChapterTimer(job) {
+    return {
+        jobId: job._id,
+        intentId: job.payload.intentId,
+        contentId: job.payload.contentId,
+        chapterId: job.payload.chapterId,
+        status: job.status,
+        runAt: job.runAt,
+        remainingMs: job.status === 'scheduled' ? Math.max(0, job.runAt.getTime() - Date.now()) : 0,
+        ...(job.result && { result: job.result.body })
+    };
+}
+
 // 40-second timer endpoint for chapter unlock simulation
 app.post('/api/start-chapter-timer', async (req, res) => {
     try {
@@ -730,34 +6924,29 @@ app.post('/api/start-chapter-timer', async (req, res) => {
             return res.status(503).json({ error: 'Database not available' });
         }
         
-        const { userId, contentId, chapterId } = req.body;
+        if (!AD_NETWORK_STUB) {
+            return res.status(403).json({ error: 'Simulated ads are disabled' });
+        }
         
-        // Simulate 40-second timer
-        setTimeout(async () => {
-            try {
-                const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-                
-                await db.collection('chapter_locks').updateOne(
-                    { userId, contentId: parseInt(contentId), chapterId },
-                    { 
-                        $set: { 
-                            unlockedAt: new Date(),
-                            expiresAt: expiresAt
-                        } 
-                    },
-                    { upsert: true }
-                );
-                
-                console.log(`Chapter ${contentId}-${chapterId} unlocked for user ${userId}`);
-            } catch (error) {
-                console.error('Error auto-unlocking chapter:', error);
-            }
-        }, 40000); // 40 seconds
+        const { customData } = req.body;
+        const intent = await findSignedIntent(customData);
+        if (!intent) {
+            return res.status(400).json({ error: 'Unknown or tampered unlock intent' });
+        }
+        
+        // One running timer per user and chapter; starting it again returns the existing one
+        const job = await scheduleJob(
+            'deliver-stub-reward',
+            `chapter-timer:${intent.userId}:${intent.contentId}:${intent.chapterId}`,
+            { customData, userId: intent.userId, intentId: intent._id, contentId: intent.contentId, chapterId: intent.chapterId },
+            { runAt: new Date(Date.now() + CHAPTER_TIMER_DURATION) }
+        );
         
         res.json({ 
             success: true, 
             message: 'Chapter unlock timer started (40 seconds)',
-            timerDuration: 40000
+            timerDuration: CHAPTER_TIMER_DURATION,
+            ...formatChapterTimer(job)
         });
     } catch (error) {
         console.error('Error starting chapter timer:', error);
@@ -765,6 +6954,32 @@ app.post('/api/start-chapter-timer', async (req, res) => {
     }
 });
 
+// Poll a simulated ad timer for its status and remaining time
+app.get('/api/chapter-timers/:jobId', async (req, res) => {
+    try {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not available' });
+        }
+        
+        if (!ObjectId.isValid(req.params.jobId)) {
+            return res.status(404).json({ error: 'Timer not found' });
+        }
+        
+        const job = await db.collection('jobs').findOne({
+            _id: new ObjectId(req.params.jobId),
+            type: 'deliver-stub-reward'
+        });
+        if (!job) {
+            return res.status(404).json({ error: 'Timer not found' });
+        }
+        
+        res.json(formatChapterTimer(job));
+    } catch (error) {
+        console.error('Error fetching chapter timer:', error);
+        res.status(500).json({ error: 'Failed to fetch chapter timer' });
+    }
+});
+
 // Serve admin panel
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin.html'));
@@ -807,7 +7022,21 @@ async function startServer() {
         process.exit(1);
     }
     
+    // `node server.js --seed [--update]` imports data/*.json and exits
+    if (process.argv.includes('--seed')) {
+        const report = await seedDatabase({ update: process.argv.includes('--update') });
+        Object.entries(report).forEach(([collection, result]) => {
+            console.log(`📦 ${collection}: ${result.inserted.length} inserted, ${result.updated.length} updated, ${result.skipped.length} skipped`);
+            result.skipped
+                .filter(entry => !['exists', 'unchanged'].includes(entry.reason))
+                .forEach(entry => console.log(`   ↳ skipped ${entry.item}: ${entry.reason}`));
+        });
+        await dbClient.close();
+        process.exit(0);
+    }
+    
     // Start the server
+    await startJobScheduler();
     app.listen(PORT, () => {
         console.log(`✅ Rovel server running on port ${PORT}`);
         console.log(`📖 Main app: http://localhost:${PORT}`);
@@ -816,21 +7045,4 @@ async function startServer() {
     });
 }
 
-// Auto-refresh chapter locks every minute
-setInterval(async () => {
-    try {
-        if (db) {
-            const result = await db.collection('chapter_locks').deleteMany({
-                expiresAt: { $lt: new Date() }
-            });
-            
-            if (result.deletedCount > 0) {
-                console.log(`Auto-cleaned ${result.deletedCount} expired chapter locks`);
-            }
-        }
-    } catch (error) {
-        console.error('Error auto-cleaning chapter locks:', error);
-    }
-}, 60000); // Check every minute
-
 startServer().catch(console.error);
\ No newline at end of file